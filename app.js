@@ -27,6 +27,28 @@ class FluxApp {
             btnSettings: document.getElementById('btn-settings-toggle'),
             btnHome: document.getElementById('btn-home'),
             btnSave: document.getElementById('btn-save-project'),
+            btnSaveAs: document.getElementById('btn-save-as'),
+            btnSearch: document.getElementById('btn-search'),
+            btnHistory: document.getElementById('btn-history'),
+            btnExport: document.getElementById('btn-export'),
+
+            // Recent Projects (Start Menu)
+            recentSection: document.getElementById('recent-projects'),
+            recentList: document.getElementById('recent-project-list'),
+
+            schemaModal: document.getElementById('schema-modal'),
+            schemaSummary: document.getElementById('schema-summary'),
+            schemaIssueList: document.getElementById('schema-issue-list'),
+            btnSchemaRepair: document.getElementById('btn-schema-repair'),
+            btnSchemaSkip: document.getElementById('btn-schema-skip'),
+            btnCloseSchema: document.getElementById('btn-close-schema'),
+
+            importModal: document.getElementById('import-modal'),
+            importSource: document.getElementById('import-source'),
+            importBoardList: document.getElementById('import-board-list'),
+            btnImportToggleAll: document.getElementById('btn-import-toggle-all'),
+            btnImportConfirm: document.getElementById('btn-import-confirm'),
+            btnCloseImport: document.getElementById('btn-close-import'),
             
             // Library UI
             libNav: document.querySelector('.top-left-nav'),
@@ -34,9 +56,12 @@ class FluxApp {
             libPopup: document.getElementById('library-popup'),
             libBoardList: document.getElementById('library-board-list'),
             btnLibNewBoard: document.getElementById('btn-lib-new-board'),
+            btnLibImport: document.getElementById('btn-lib-import'),
+            importInput: document.getElementById('import-input'),
             
             // Library Mode Switching
             btnLibModeToggle: document.getElementById('btn-lib-mode-toggle'),
+            btnLibLayoutToggle: document.getElementById('btn-lib-layout-toggle'),
             libViewBoards: document.getElementById('lib-view-boards'),
             libViewPdfs: document.getElementById('lib-view-pdfs'),
             libPdfList: document.getElementById('library-pdf-list'),
@@ -52,6 +77,7 @@ class FluxApp {
             colorModal: document.getElementById('color-modal'),
             strokeModal: document.getElementById('stroke-modal'),
             shapesModal: document.getElementById('shapes-modal'),
+            eraserModal: document.getElementById('eraser-modal'),
             
             // Markdown Editor
             editorOverlay: document.getElementById('markdown-editor-overlay'),
@@ -69,6 +95,7 @@ class FluxApp {
             btnCloseColor: document.getElementById('btn-close-color'),
             btnCloseStroke: document.getElementById('btn-close-stroke'),
             btnCloseShapes: document.getElementById('btn-close-shapes'),
+            btnCloseEraser: document.getElementById('btn-close-eraser'),
             
             themeToggle: document.getElementById('theme-toggle'),
             gridToggle: document.getElementById('grid-toggle'),
@@ -82,6 +109,8 @@ class FluxApp {
             colorDots: document.querySelectorAll('#color-modal .color-dot'),
             colorOptEmpty: document.getElementById('color-opt-empty'),
             shapeOptBtns: document.querySelectorAll('.shape-opt-btn'),
+            eraserModeBtns: document.querySelectorAll('[data-eraser-mode]'),
+            btnEraserSize: document.getElementById('btn-eraser-size'),
             
             strokeSlider: document.getElementById('input-stroke-slider'),
             strokeNumber: document.getElementById('input-stroke-number'),
@@ -97,6 +126,8 @@ class FluxApp {
 
             styleBtns: document.querySelectorAll('[data-style]'),
             arrowBtns: document.querySelectorAll('[data-arrow]'),
+            btnCopyLink: document.getElementById('btn-copy-link'),
+            btnTransfer: document.getElementById('btn-transfer'),
             btnDuplicate: document.getElementById('btn-duplicate'),
             btnDelete: document.getElementById('btn-delete'),
             btnUndo: document.getElementById('btn-undo'),
@@ -112,24 +143,56 @@ class FluxApp {
             activeBoardId: null,
             editingElementId: null,
             libraryMode: 'boards',
-            dragSrcId: null // For Drag & Drop reordering
+            libraryLayout: 'list', // Boards as a 'list' or a 'grid' of thumbnails
+            dragSrcId: null, // For Drag & Drop reordering
+            hasUnsavedChanges: false // Changes not yet written to the project file
         };
 
         // Project Data Model
-        this.project = {
-            name: "Untitled Project",
-            boards: []
-        };
+        this.project = this.createEmptyProject();
 
         this.dom.btnUndo = document.getElementById('btn-undo');
         this.dom.btnRedo = document.getElementById('btn-redo');
 
         this.dom.lodSlider = document.getElementById('input-lod-threshold');
         this.dom.lodValueDisplay = document.getElementById('lod-value');
+        this.dom.stabilizerBtns = document.querySelectorAll('[data-stabilizer]');
+        this.dom.touchModeBtns = document.querySelectorAll('[data-touch-mode]');
         
         this.katexStyles = "";
         this.whiteboard = null;
         this.pdfViewer = null; 
+        this.exporter = null;
+        this.snapshots = null; // Version history (needs storage)
+        this.templates = null; // Board templates and the "New Board" picker
+        this.thumbnails = null; // Board previews of the library
+        this.organizer = null; // Folders, tags and sorting of the library
+        this.links = null; // [[Board]] links and their back/forward navigation
+        this.search = null; // Full-text search across boards and PDFs
+        this.trash = null; // Deleted boards and elements, until restored or purged
+        this.transfer = null; // Move/Copy of selected elements to another board
+
+        // Undo/redo stacks of the boards not on screen (board id -> { undoStack, redoStack })
+        this.boardHistories = new Map();
+
+        // Local persistence (IndexedDB)
+        this.storage = null;
+        this.autosaveTimer = null;
+        this.persistQueue = Promise.resolve();
+
+        // Project file on disk (File System Access API): Save overwrites it in place
+        this.fileHandle = null;
+        this.projectFileTypes = [{ description: "Flux Project", accept: { 'application/zip': ['.zip'] } }];
+
+        // Binary assets (images, PDFs) of the open project, keyed by content hash
+        this.assets = typeof FluxAssetStore !== 'undefined' ? new FluxAssetStore() : null;
+
+        // Project file versioning, migrations and validation
+        this.schema = typeof FluxProjectSchema !== 'undefined' ? new FluxProjectSchema() : null;
+
+        // Converters for other formats (opened as projects or imported as boards)
+        this.excalidraw = typeof FluxExcalidrawImporter !== 'undefined' ? new FluxExcalidrawImporter() : null;
+        this.jsonCanvas = typeof FluxJsonCanvas !== 'undefined' ? new FluxJsonCanvas() : null;
         this.init();
     }
 
@@ -142,10 +205,21 @@ class FluxApp {
         
         if(typeof FluxWhiteboard !== 'undefined') this.whiteboard = new FluxWhiteboard('flux-canvas');
         if(typeof FluxPdfViewer !== 'undefined') this.pdfViewer = new FluxPdfViewer();
+        if(typeof FluxStorage !== 'undefined') this.storage = new FluxStorage();
+        if(typeof FluxExporter !== 'undefined') this.exporter = new FluxExporter();
+        if(typeof FluxSnapshots !== 'undefined') this.snapshots = new FluxSnapshots();
+        if(typeof FluxTemplates !== 'undefined') this.templates = new FluxTemplates();
+        if(typeof FluxThumbnails !== 'undefined') this.thumbnails = new FluxThumbnails();
+        if(typeof FluxBoardOrganizer !== 'undefined') this.organizer = new FluxBoardOrganizer();
+        if(typeof FluxLinks !== 'undefined') this.links = new FluxLinks();
+        if(typeof FluxSearch !== 'undefined') this.search = new FluxSearch();
+        if(typeof FluxTrash !== 'undefined') this.trash = new FluxTrash();
+        if(typeof FluxTransfer !== 'undefined') this.transfer = new FluxTransfer();
         
         this.loadSettings(); 
-        this.revealApplication(); 
+        this.revealApplication().then(() => this.checkForCrashRecovery()); 
         this.bindEvents();
+        this.renderRecentProjects();
     }
 
     /**
@@ -204,6 +278,12 @@ class FluxApp {
         const g = localStorage.getItem('flux-grid'); 
         if(g==='false'){ this.dom.gridToggle.checked=false; if(this.whiteboard) this.whiteboard.setGridEnabled(false); }
 
+        this.setLibraryLayout(localStorage.getItem('flux-library-layout') === 'grid' ? 'grid' : 'list');
+
+        this.setStabilizer(parseInt(localStorage.getItem('flux-stabilizer'), 10) || 0);
+        this.setTouchMode(localStorage.getItem('flux-touch-mode') === 'stylus' ? 'stylus' : 'tools');
+        this.setEraserMode(localStorage.getItem('flux-eraser-mode') === 'partial' ? 'partial' : 'stroke');
+
         const savedLod = localStorage.getItem('flux-lod-threshold');
         if (savedLod && this.whiteboard) {
             const val = parseFloat(savedLod);
@@ -227,21 +307,40 @@ class FluxApp {
         // --- NAVIGATION ---
         this.dom.btnNew.addEventListener('click', () => this.startNewBoard());
         
+        // The project is autosaved locally, so going Home no longer loses work
         this.dom.btnHome.addEventListener('click', () => {
-            if(confirm("Are you sure you want to return to Home? Unsaved progress will be lost if you haven't downloaded the project.")) {
-                this.returnToHome();
-            }
+            const kept = this.storage ? "They are kept in Recent Projects on this device." : "They will be lost.";
+            if (this.confirmDiscardChanges(`${kept}\nGo back to the start screen?`)) this.returnToHome();
         });
 
-        this.dom.btnSave.addEventListener('click', () => this.downloadProjectZip());
-        this.dom.btnOpen.addEventListener('click', () => this.dom.fileInput.click());
+        this.dom.btnSave.addEventListener('click', () => this.saveProject());
+        this.dom.btnSaveAs.addEventListener('click', () => this.saveProjectAs());
+        this.dom.btnSearch.addEventListener('click', () => { if (this.search) this.search.show(); });
+        this.dom.btnHistory.addEventListener('click', () => this.openHistoryPanel());
+        this.dom.btnExport.addEventListener('click', () => this.openExportDialog());
+        this.dom.btnOpen.addEventListener('click', () => this.openProjectFile());
         this.dom.fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
 
+        // Flush pending autosaves when the tab is hidden (closing, switching app, etc.)
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.autosaveTimer) this.persistProject();
+        });
+
+        // Closing or reloading the tab with changes that are not in a project file
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.hasUnsavedWork()) return;
+            this.persistProject();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+
         // --- LIBRARY UI ---
         this.dom.btnLibToggle.addEventListener('click', (e) => { 
             e.stopPropagation(); 
             this.dom.libPopup.classList.toggle('hidden');
             if (!this.dom.libPopup.classList.contains('hidden')) {
+                // Up-to-date thumbnail of the board being edited
+                this.saveCurrentBoardState();
                 this.switchLibraryView('boards');
             }
         });
@@ -254,10 +353,24 @@ class FluxApp {
             this.switchLibraryView(newMode);
         });
 
+        this.dom.btnLibLayoutToggle.addEventListener('click', () => {
+            const layout = this.state.libraryLayout === 'list' ? 'grid' : 'list';
+            this.setLibraryLayout(layout);
+            localStorage.setItem('flux-library-layout', layout);
+            this.renderLibrary();
+        });
+
         this.dom.btnLibNewBoard.addEventListener('click', () => {
             this.dom.libPopup.classList.add('hidden');
-            this.addNewBoardToProject();
+            if (this.templates) this.templates.open();
+            else this.addNewBoardToProject();
+        });
+
+        this.dom.btnLibImport.addEventListener('click', () => {
+            this.dom.libPopup.classList.add('hidden');
+            this.dom.importInput.click();
         });
+        this.dom.importInput.addEventListener('change', (e) => this.handleImportUpload(e));
 
         // --- HISTORY ---
         this.dom.btnUndo.addEventListener('click', () => this.whiteboard.undo());
@@ -268,6 +381,8 @@ class FluxApp {
             const t = btn.getAttribute('data-tool');
             if(t === 'line') this.createLineAction();
             else if(t === 'shape') this.dom.shapesModal.classList.remove('hidden');
+            // A second click on the eraser opens its options
+            else if(t === 'eraser' && this.state.activeTool === 'eraser') this.dom.eraserModal.classList.remove('hidden');
             else if(t === 'text') this.createTextAction();
             else if(t === 'formula') this.createFormulaAction();
             else if(t === 'image') this.createImageAction();
@@ -292,19 +407,40 @@ class FluxApp {
             this.dom.colorModal.classList.remove('hidden'); 
         });
         this.dom.btnStrokePicker.addEventListener('click', () => this.dom.strokeModal.classList.remove('hidden'));
+        this.dom.btnEraserSize.addEventListener('click', () => {
+            if (this.whiteboard) this.syncStrokeUI(this.whiteboard.config.eraserWidth);
+            this.dom.eraserModal.classList.add('hidden');
+            this.dom.strokeModal.classList.remove('hidden');
+        });
         
-        [this.dom.btnCloseSettings, this.dom.btnCloseColor, this.dom.btnCloseStroke, this.dom.btnCloseShapes].forEach(b => b.addEventListener('click', () => b.closest('.modal-overlay').classList.add('hidden')));
+        [this.dom.btnCloseSettings, this.dom.btnCloseColor, this.dom.btnCloseStroke, this.dom.btnCloseShapes, this.dom.btnCloseEraser].forEach(b => b.addEventListener('click', () => b.closest('.modal-overlay').classList.add('hidden')));
 
         this.dom.lodSlider.addEventListener('input', (e) => {
             const val = parseFloat(e.target.value);
             this.dom.lodValueDisplay.textContent = val.toFixed(2);
             if (this.whiteboard) {
                 this.whiteboard.config.lodThreshold = val;
-                this.whiteboard.render(); // Aggiorna subito la vista
+                this.whiteboard.invalidateAll(); // Cached tiles were drawn with the previous level of detail
             }
             localStorage.setItem('flux-lod-threshold', val);
         });
 
+        this.dom.stabilizerBtns.forEach(btn => btn.addEventListener('click', () => {
+            const level = parseInt(btn.dataset.stabilizer, 10);
+            this.setStabilizer(level);
+            localStorage.setItem('flux-stabilizer', level);
+        }));
+
+        this.dom.touchModeBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.setTouchMode(btn.dataset.touchMode);
+            localStorage.setItem('flux-touch-mode', btn.dataset.touchMode);
+        }));
+
+        this.dom.eraserModeBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.setEraserMode(btn.dataset.eraserMode);
+            localStorage.setItem('flux-eraser-mode', btn.dataset.eraserMode);
+        }));
+
         // --- TEXT EDITING ---
         this.dom.btnEditText.addEventListener('click', () => {
             const sel = this.whiteboard.interaction.selectedElements[0];
@@ -330,6 +466,11 @@ class FluxApp {
              }
         });
 
+        // Follow a [[Board]] link of a text element
+        this.dom.canvas.addEventListener('flux-link', (e) => {
+            if (this.links) this.links.follow(e.detail.target);
+        });
+
         // Trigger PDF Viewer
         this.dom.canvas.addEventListener('flux-pdf-preview', (e) => {
             const el = e.detail.element;
@@ -343,8 +484,8 @@ class FluxApp {
                     this.whiteboard.render();
                 }
 
-                if (el.src) {
-                    this.pdfViewer.open(el);
+                if (el.asset) {
+                    this.pdfViewer.open(el, e.detail.page);
                 }
             }
         });
@@ -359,7 +500,7 @@ class FluxApp {
                 this.whiteboard.elements.forEach(el => { 
                     if(el.type === 'text' || el.type === 'pdf') el.renderedImage = null; 
                 });
-                this.whiteboard.render();
+                this.whiteboard.invalidateAll();
             }
         });
 
@@ -388,7 +529,9 @@ class FluxApp {
 
         const handleWidth = v => { 
             const n = Math.min(Math.max(parseInt(v)||1, 1), 50); 
-            this.updateSelectedProperty(el => { if(el.type==='shape') el.strokeWidth=n; else el.width=n; }); 
+            // With the eraser tool active it only sizes the eraser
+            if(this.state.activeTool === 'eraser') this.setEraserWidth(n);
+            else if(this.whiteboard && this.whiteboard.interaction.selectedElements.length > 0) this.updateSelectedProperty(el => { if(el.type==='shape') el.strokeWidth=n; else el.width=n; }); 
             this.syncStrokeUI(n); 
         };
         this.dom.strokeSlider.addEventListener('input', e => handleWidth(e.target.value));
@@ -417,133 +560,900 @@ class FluxApp {
         }));
 
         this.dom.btnDuplicate.addEventListener('click', () => this.whiteboard.duplicateSelected());
+        this.dom.btnCopyLink.addEventListener('click', () => {
+            const sel = this.whiteboard.interaction.selectedElements;
+            if (this.links && sel.length === 1) this.links.copyLink(sel[0]);
+        });
         this.dom.btnDelete.addEventListener('click', () => this.whiteboard.deleteSelected());
     }
 
     // --- FILE I/O ---
 
-    handleFileUpload(e) {
+    async handleFileUpload(e) {
         const file = e.target.files[0];
         if (!file) return;
+        e.target.value = "";
+        await this.openFile(file);
+    }
 
-        if (file.name.endsWith('.zip')) {
-             if (window.JSZip) {
-                 const zip = new JSZip();
-                 zip.loadAsync(file).then(contents => {
-                     const jsonFileName = Object.keys(contents.files).find(name => name.endsWith('.json'));
-                     if (jsonFileName) {
-                         return zip.file(jsonFileName).async("string");
-                     } else {
-                         throw new Error("No JSON project file found in the ZIP archive.");
-                     }
-                 }).then(jsonContent => {
-                     this.loadProjectFromJSON(jsonContent);
-                 }).catch(err => {
-                     console.error(err);
-                     alert("Error reading ZIP file: " + err.message);
-                 });
-             } else {
-                 alert("JSZip library not loaded.");
-             }
-        } else {
+    /**
+     * @method openProjectFile
+     * @description "Open" button. With the File System Access API the picked file's handle
+     * is kept so Save can write back to it; other browsers use the hidden file input.
+     */
+    async openProjectFile() {
+        if (!window.showOpenFilePicker) {
+            this.dom.fileInput.click();
+            return;
+        }
+
+        let handle;
+        try {
+            [handle] = await window.showOpenFilePicker({
+                types: [
+                    ...this.projectFileTypes,
+                    { description: "Other Formats", accept: { 'application/json': ['.json', '.flux', '.excalidraw', '.canvas'] } }
+                ]
+            });
+        } catch (e) {
+            if (e.name !== 'AbortError') console.error(e);
+            return;
+        }
+        await this.openFile(await handle.getFile(), handle);
+    }
+
+    /**
+     * @method openFile
+     * @param {File} file - Project archive, legacy JSON, Excalidraw or JSON Canvas file.
+     * @param {FileSystemFileHandle} [handle] - Kept for save-in-place when the file is a project archive.
+     */
+    async openFile(file, handle = null) {
+        // JSON Canvas files become a new board of the open project
+        if (this.state.boardActive && /\.canvas(\.zip)?$/i.test(file.name)) {
+            await this.importFromFile(file);
+            return;
+        }
+
+        if (!this.confirmDiscardChanges(`Open "${file.name}" instead?`)) return;
+
+        try {
+            // The open project keeps its images and PDFs until the file is loaded
+            const assets = new FluxAssetStore();
+            const jsonContent = await this.readProjectFile(file, assets);
+            const opened = await this.loadProjectFromJSON(jsonContent, file.name, assets);
+            // Other formats are converted: saving must not overwrite the original file
+            if (opened) this.setFileHandle(handle && file.name.toLowerCase().endsWith('.zip') ? handle : null);
+        } catch (err) {
+            console.error(err);
+            alert("Error reading project file: " + err.message);
+        }
+    }
+
+    /**
+     * @method replaceAssets
+     * @description Makes `assets` the store of the open project and releases the previous one.
+     */
+    replaceAssets(assets) {
+        if (assets === this.assets) return;
+        const previous = this.assets;
+        this.assets = assets;
+        previous.clear();
+    }
+
+    /**
+     * @method readProjectFile
+     * @description Reads a project archive (.zip) or a legacy single JSON file.
+     * Asset files found in the archive are registered in `assets`.
+     * @param {File} file - The file picked by the user.
+     * @param {FluxAssetStore} assets - Store receiving the images/PDFs of the archive.
+     * @returns {Promise<string>} The project JSON.
+     */
+    async readProjectFile(file, assets) {
+        if (!file.name.endsWith('.zip')) {
             // Legacy support for single JSON files
-            const reader = new FileReader();
-            reader.onload = (event) => this.loadProjectFromJSON(event.target.result);
-            reader.readAsText(file);
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (event) => resolve(event.target.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsText(file);
+            });
         }
-        e.target.value = "";
+
+        if (!window.JSZip) throw new Error("JSZip library not loaded.");
+
+        const zip = await new JSZip().loadAsync(file);
+        const jsonFileName = Object.keys(zip.files).find(name => (name.endsWith('.json') || name.endsWith('.canvas')) && !name.startsWith('assets/'));
+        if (!jsonFileName) throw new Error("No JSON project file found in the ZIP archive.");
+
+        // Asset files are named after their content hash
+        const assetFiles = zip.filter(path => path.startsWith('assets/') && !zip.files[path].dir);
+        for (const entry of assetFiles) {
+            const fileName = entry.name.substring('assets/'.length);
+            const data = await entry.async("arraybuffer");
+            assets.set(fileName.replace(/\.[^.]+$/, ''), new Blob([data], { type: assets.getTypeForFileName(fileName) }));
+        }
+
+        return zip.file(jsonFileName).async("string");
     }
 
-    loadProjectFromJSON(jsonString) {
+    /**
+     * @method loadProjectFromJSON
+     * @description Opens a project file (or a converted external file) in place of the open project.
+     * @param {FluxAssetStore} [assets] - Images/PDFs read with the file; they replace those of the
+     * open project only once it is loaded.
+     * @returns {Promise<boolean>} Whether the project was opened.
+     */
+    async loadProjectFromJSON(jsonString, fileName, assets = this.assets) {
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch (e) {
+            alert("Error parsing project file.");
+            return;
+        }
+
+        const converter = this.getExternalConverter(data);
+        if (!converter && !this.schema.isProject(data)) {
+            alert("Invalid project file format.");
+            return;
+        }
+
         try {
-            const data = JSON.parse(jsonString);
-            if (data.boards && Array.isArray(data.boards)) {
+            let report = null;
+            if (converter) ({ project: data, report } = await this.convertExternalFile(converter, data, fileName, assets));
+
+            data = await this.prepareProjectData(data, assets);
+            if (!data) return false;
+
+            if (data.boards.length > 0) {
+                await this.resolveOpenedProjectId(data);
+                if (data.name === "Untitled Project" && fileName) data.name = fileName.replace(/\.[^.]+$/, '');
+                this.replaceAssets(assets);
                 this.project = data;
-                if (this.project.boards.length > 0) {
-                    this.loadProjectAndStart();
-                }
+                this.loadProjectAndStart();
+                if (report) alert(report);
+                return true;
             } else {
-                alert("Invalid project file format.");
+                alert("This project has no boards to open.");
             }
         } catch (e) {
-            alert("Error parsing project file.");
+            console.error(e);
+            alert("Error loading project file: " + e.message);
         }
+        return false;
+    }
+
+    /**
+     * @method getExternalConverter
+     * @description Returns the converter understanding `data` (Excalidraw, JSON Canvas), or null.
+     */
+    getExternalConverter(data) {
+        if (this.excalidraw && this.excalidraw.isScene(data)) return this.excalidraw;
+        if (this.jsonCanvas && this.jsonCanvas.isCanvas(data)) return this.jsonCanvas;
+        return null;
+    }
+
+    /**
+     * @method convertExternalFile
+     * @description Turns an Excalidraw scene or a JSON Canvas into a one-board project named after the file.
+     * @returns {Promise<Object>} { project, report } - `report` is the text listing what could
+     * not be converted (null if everything was).
+     */
+    async convertExternalFile(converter, data, fileName, assets) {
+        const name = fileName ? fileName.replace(/(\.canvas)?\.[^.]+$/, '') : "Imported Board";
+        const defaultColor = document.body.classList.contains('light-mode') ? '#1a1a1d' : '#ffffff';
+        const { project, report } = await converter.convert(data, { name, assets, defaultColor });
+        return { project, report: converter.formatReport(report) };
+    }
+
+    /**
+     * @method prepareProjectData
+     * @description Upgrades raw project data to the current schema and validates it.
+     * If problems are found the user chooses whether to repair them, skip the broken items or cancel.
+     * @param {Object} data - Parsed project JSON.
+     * @param {FluxAssetStore} [assets] - Store holding the project's images/PDFs.
+     * @returns {Promise<?Object>} The project ready to be opened, or null if cancelled.
+     */
+    async prepareProjectData(data, assets = this.assets) {
+        if (this.schema.getVersion(data) > this.schema.version &&
+            !confirm("This project was saved by a newer version of Flux and may not open correctly.\nDo you want to continue?")) {
+            return null;
+        }
+
+        await this.schema.migrate(data, { assets });
+
+        const isL = document.body.classList.contains('light-mode');
+        const issues = this.schema.validate(data, { assets, defaultColor: isL ? '#1a1a1d' : '#ffffff' });
+        if (issues.length > 0) {
+            console.warn("Flux: Project validation issues", issues);
+            const mode = await this.askSchemaResolution(issues);
+            if (!mode) return null;
+            data = this.schema.resolve(data, issues, mode);
+        }
+
+        this.ensureUniqueBoardNames(data);
+        return data;
+    }
+
+    /**
+     * @method askSchemaResolution
+     * @description Lists the validation issues in a modal and waits for the user's choice.
+     * @returns {Promise<?string>} 'repair', 'skip' or null (cancel).
+     */
+    askSchemaResolution(issues) {
+        const repairable = issues.filter(i => i.repair).length;
+        this.dom.schemaSummary.textContent = `Found ${issues.length} problem${issues.length === 1 ? '' : 's'} in this project. ` +
+            `${repairable} can be repaired, the remaining broken items will be left out.`;
+
+        this.dom.schemaIssueList.innerHTML = '';
+        issues.forEach(issue => {
+            const item = document.createElement('div');
+            item.className = 'schema-issue';
+            const location = document.createElement('small');
+            location.textContent = issue.boardIndex === null ? 'Project' :
+                issue.elementIndex === null ? issue.boardName :
+                `${issue.boardName} › Element #${issue.elementIndex + 1}${issue.elementId !== null && issue.elementId !== undefined ? ` (id ${issue.elementId})` : ''}`;
+            const message = document.createElement('span');
+            message.textContent = issue.message + (issue.repair ? '' : ' (cannot be repaired)');
+            item.append(location, message);
+            this.dom.schemaIssueList.appendChild(item);
+        });
+
+        this.dom.schemaModal.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const finish = (mode) => {
+                this.dom.schemaModal.classList.add('hidden');
+                this.dom.btnSchemaRepair.onclick = this.dom.btnSchemaSkip.onclick = this.dom.btnCloseSchema.onclick = null;
+                resolve(mode);
+            };
+            this.dom.btnSchemaRepair.onclick = () => finish('repair');
+            this.dom.btnSchemaSkip.onclick = () => finish('skip');
+            this.dom.btnCloseSchema.onclick = () => finish(null);
+        });
+    }
+
+    /**
+     * @method getProjectAssetHashes
+     * @description Returns the hashes of every asset referenced by a project (its trash included).
+     */
+    getProjectAssetHashes(project = this.project) {
+        const hashes = new Set();
+        const collect = (elements) => elements.forEach(el => { if (el.asset) hashes.add(el.asset); });
+        project.boards.forEach(board => collect(board.elements));
+        (project.trash || []).forEach(entry => collect(entry.type === 'board' ? entry.board.elements : entry.elements));
+        return [...hashes];
     }
 
     loadProjectAndStart() {
+        if (this.links) this.links.clear();
+        if (this.trash) this.trash.purge();
         this.dom.menu.classList.add('hidden');
         this.dom.canvas.classList.remove('hidden');
         this.dom.toolbar.classList.remove('hidden');
         this.dom.btnHome.classList.remove('hidden');
         this.dom.btnSave.classList.remove('hidden');
+        this.dom.btnSaveAs.classList.remove('hidden');
+        this.dom.btnSearch.classList.toggle('hidden', !this.search);
+        this.dom.btnHistory.classList.remove('hidden');
+        this.dom.btnExport.classList.remove('hidden');
         this.dom.libNav.classList.remove('hidden');
         
         this.state.boardActive = true;
         this.renderLibrary();
         
+        this.boardHistories.clear();
         if (this.project.boards.length > 0) {
             this.switchToBoard(this.project.boards[0].id);
         }
         if(this.whiteboard) this.whiteboard.resize();
+        this.notifyProjectChanged();
+        // Freshly opened: nothing to save yet
+        this.setUnsavedChanges(false);
+    }
+
+    /**
+     * @method saveProject
+     * @description Save (Cmd/Ctrl + S): overwrites the project file when there is one,
+     * otherwise behaves like Save As.
+     */
+    async saveProject() {
+        if (!this.fileHandle) return this.saveProjectAs();
+        try {
+            await this.writeProjectFile(this.fileHandle);
+            // The local copy records that the file is up to date
+            this.persistProject();
+        } catch (e) {
+            console.error(e);
+            if (e.name === 'NotAllowedError') return this.saveProjectAs();
+            alert("Could not save to " + this.fileHandle.name + ": " + e.message);
+        }
+    }
+
+    /**
+     * @method saveProjectAs
+     * @description Save As (Cmd/Ctrl + Shift + S): asks where to write the project archive.
+     * Browsers without the File System Access API download it instead.
+     */
+    async saveProjectAs() {
+        if (!window.showSaveFilePicker) return this.downloadProjectZip();
+
+        let handle;
+        try {
+            handle = await window.showSaveFilePicker({
+                suggestedName: this.fileHandle ? this.fileHandle.name : `${this.getSafeFileName(this.project.name)}.zip`,
+                types: this.projectFileTypes
+            });
+        } catch (e) {
+            if (e.name !== 'AbortError') console.error(e);
+            return;
+        }
+
+        try {
+            await this.writeProjectFile(handle);
+            this.setFileHandle(handle);
+        } catch (e) {
+            console.error(e);
+            alert("Could not save the project: " + e.message);
+        }
+    }
+
+    /**
+     * @method writeProjectFile
+     * @description Writes the project archive to a file handle (asking for permission if needed).
+     */
+    async writeProjectFile(handle) {
+        if (handle.queryPermission && (await handle.queryPermission({ mode: 'readwrite' })) !== 'granted' &&
+            (await handle.requestPermission({ mode: 'readwrite' })) !== 'granted') {
+            throw new DOMException("Permission to write the file was denied.", 'NotAllowedError');
+        }
+
+        const content = await this.buildProjectZip();
+        if (!content) return;
+
+        const writable = await handle.createWritable();
+        await writable.write(content);
+        await writable.close();
+        this.setUnsavedChanges(false);
     }
 
+    /**
+     * @method downloadProjectZip
+     * @description Fallback save: downloads the project archive.
+     */
     async downloadProjectZip() {
+        try {
+            const content = await this.buildProjectZip();
+            if (!content) return;
+            this.downloadBlob(content, `${this.getSafeFileName(this.project.name)}.zip`);
+            this.setUnsavedChanges(false);
+        } catch (error) {
+            console.error("Error creating zip:", error);
+            alert("An error occurred while zipping the project.");
+        }
+    }
+
+    /**
+     * @method buildProjectZip
+     * @description Packs the project JSON and its assets.
+     * @returns {Promise<?Blob>} The archive, or null if there is nothing to save.
+     */
+    async buildProjectZip() {
         this.saveCurrentBoardState();
 
         if (!this.project || this.project.boards.length === 0) {
             alert("No project data to save.");
+            return null;
+        }
+
+        const zip = new JSZip();
+        const projectData = JSON.stringify({ ...this.project, schemaVersion: this.schema.version }, null, 2);
+        const safeName = this.getSafeFileName(this.project.name);
+
+        zip.file(`${safeName}.json`, projectData);
+        // Images and PDFs are stored once each, named after their content hash
+        this.getProjectAssetHashes().forEach(hash => {
+            const blob = this.assets.get(hash);
+            if (blob) zip.file(`assets/${this.assets.getFileName(hash)}`, blob);
+        });
+        zip.file("readme.txt", "Generated by Flux Workspace.\nImport this .zip file back into Flux to restore your work.\nThe assets/ folder contains the images and PDFs used by the boards.");
+
+        return zip.generateAsync({ type: "blob" });
+    }
+
+    setFileHandle(handle) {
+        this.fileHandle = handle;
+        this.updateTitle();
+        // Remember the file with the local copy so Recent Projects keep saving to it
+        this.persistProject();
+    }
+
+    setUnsavedChanges(value) {
+        this.state.hasUnsavedChanges = value;
+        this.updateTitle();
+    }
+
+    /**
+     * @method hasUnsavedWork
+     * @description True when the open project changed since it was opened or last saved to a file.
+     * Set by `notifyProjectChanged` (board edits, PDF annotations, library changes).
+     */
+    hasUnsavedWork() {
+        return this.state.boardActive && this.state.hasUnsavedChanges;
+    }
+
+    /**
+     * @method confirmDiscardChanges
+     * @description Asks before an action that closes the open project while it has unsaved work.
+     * @param {string} question - What happens to the changes, and the action to confirm.
+     * @returns {boolean} True when the action may proceed.
+     */
+    confirmDiscardChanges(question) {
+        if (!this.hasUnsavedWork()) return true;
+        return confirm(`"${this.project.name}" has changes that are not saved to a project file.\n${question}`);
+    }
+
+    /**
+     * @method updateTitle
+     * @description Window title: project file name, with a dot when there are unsaved changes.
+     */
+    updateTitle() {
+        if (!this.state.boardActive) {
+            document.title = "Flux";
+            return;
+        }
+        const name = this.fileHandle ? this.fileHandle.name : this.project.name;
+        document.title = `${this.state.hasUnsavedChanges ? '• ' : ''}${name} - Flux`;
+    }
+
+    openExportDialog() {
+        if (this.exporter && this.state.boardActive) this.exporter.open();
+    }
+
+    openHistoryPanel() {
+        if (this.snapshots && this.state.boardActive) this.snapshots.open();
+    }
+
+    /**
+     * @method downloadBlob
+     * @description Saves a Blob to the user's device through a temporary download link.
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        // Give the browser time to start the download before releasing the data
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getSafeFileName(name) {
+        return (name || "flux-project").replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    }
+
+    // --- BOARD IMPORT (merge another project) ---
+
+    /**
+     * @method handleImportUpload
+     * @description Reads another project file and merges the boards picked by the user
+     * into the open project.
+     */
+    async handleImportUpload(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = "";
+        await this.importFromFile(file);
+    }
+
+    /**
+     * @method importFromFile
+     * @description Adds boards of a project file (or an Excalidraw / JSON Canvas file) to the open project.
+     */
+    async importFromFile(file) {
+        // Assets of the other project stay apart until we know which boards are imported
+        const assets = new FluxAssetStore();
+        let data;
+        try {
+            data = JSON.parse(await this.readProjectFile(file, assets));
+        } catch (err) {
+            console.error(err);
+            alert("Error reading project file: " + err.message);
+            return;
+        }
+
+        const converter = this.getExternalConverter(data);
+        if (!converter && !this.schema.isProject(data)) {
+            alert("Invalid project file format.");
             return;
         }
 
         try {
-            const zip = new JSZip();
-            const projectData = JSON.stringify(this.project, null, 2);
-            const safeName = (this.project.name || "flux-project").replace(/[^a-z0-9]/gi, '_').toLowerCase();
-            
-            zip.file(`${safeName}.json`, projectData);
-            zip.file("readme.txt", "Generated by Flux Workspace.\nImport this .json file back into Flux to restore your work.");
-
-            const content = await zip.generateAsync({ type: "blob" });
-            const url = URL.createObjectURL(content);
-            const a = document.createElement("a");
-            a.href = url;
-            a.download = `${safeName}.zip`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            let report = null;
+            if (converter) ({ project: data, report } = await this.convertExternalFile(converter, data, file.name, assets));
+
+            data = await this.prepareProjectData(data, assets);
+            if (!data) return;
+            if (data.boards.length === 0) {
+                alert("This project has no boards to import.");
+                return;
+            }
 
-        } catch (error) {
-            console.error("Error creating zip:", error);
-            alert("An error occurred while zipping the project.");
+            // Converted files hold a single board: no need to pick
+            const sourceName = data.name && data.name !== "Untitled Project" ? data.name : file.name;
+            const boards = converter ? data.boards : await this.askBoardsToImport(data.boards, sourceName);
+            if (boards && boards.length > 0) {
+                this.importBoards(boards, assets);
+                if (report) alert(report);
+            }
+        } catch (err) {
+            console.error(err);
+            alert("Error importing boards: " + err.message);
         }
     }
 
+    /**
+     * @method askBoardsToImport
+     * @description Shows the board picker and resolves with the selected boards (null if cancelled).
+     */
+    askBoardsToImport(boards, sourceName) {
+        this.dom.importSource.textContent = `Select the boards of "${sourceName}" to add to this project.`;
+        this.dom.importBoardList.innerHTML = '';
+
+        const checkboxes = boards.map(board => {
+            const item = document.createElement('label');
+            item.className = 'import-board-item';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            const name = document.createElement('span');
+            name.textContent = board.name;
+            const meta = document.createElement('small');
+            meta.textContent = `${board.elements.length} element${board.elements.length === 1 ? '' : 's'}`;
+            item.append(checkbox, name, meta);
+            this.dom.importBoardList.appendChild(item);
+            return checkbox;
+        });
+
+        const syncButton = () => {
+            const count = checkboxes.filter(c => c.checked).length;
+            this.dom.btnImportConfirm.disabled = count === 0;
+            this.dom.btnImportConfirm.textContent = `Import ${count} Board${count === 1 ? '' : 's'}`;
+            this.dom.btnImportToggleAll.textContent = count === checkboxes.length ? 'Select None' : 'Select All';
+        };
+        checkboxes.forEach(c => c.addEventListener('change', syncButton));
+        syncButton();
+
+        this.dom.importModal.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                this.dom.importModal.classList.add('hidden');
+                this.dom.btnImportConfirm.onclick = this.dom.btnCloseImport.onclick = this.dom.btnImportToggleAll.onclick = null;
+                resolve(result);
+            };
+            this.dom.btnImportToggleAll.onclick = () => {
+                const selectAll = checkboxes.some(c => !c.checked);
+                checkboxes.forEach(c => { c.checked = selectAll; });
+                syncButton();
+            };
+            this.dom.btnImportConfirm.onclick = () => finish(boards.filter((b, i) => checkboxes[i].checked));
+            this.dom.btnCloseImport.onclick = () => finish(null);
+        });
+    }
+
+    /**
+     * @method importBoards
+     * @description Appends boards from another project. IDs come from `Date.now()`, so board
+     * and element IDs that already exist in this project are remapped, and duplicate
+     * board names get a numeric suffix. The links inside the imported boards follow both.
+     * @param {Array<Object>} boards - Boards to import (modified in place).
+     * @param {FluxAssetStore} assets - Store holding their images/PDFs.
+     * @returns {Map} Old ID -> new ID of every remapped board/element.
+     */
+    importBoards(boards, assets) {
+        this.saveCurrentBoardState();
+
+        const usedIds = new Set();
+        this.project.boards.forEach(board => {
+            usedIds.add(board.id);
+            board.elements.forEach(el => usedIds.add(el.id));
+        });
+
+        const idMap = new Map();
+        const remap = (id) => {
+            if (!usedIds.has(id)) { usedIds.add(id); return id; }
+            const newId = this.schema.generateId(usedIds);
+            idMap.set(id, newId);
+            return newId;
+        };
+
+        const nameMap = new Map();
+        boards.forEach(board => {
+            board.id = remap(board.id);
+            const name = this.getUniqueBoardName(board.name);
+            nameMap.set(board.name.toLowerCase(), name);
+            board.name = name;
+            // Folders of the other project are not imported
+            board.folderId = null;
+            board.elements.forEach(el => {
+                el.id = remap(el.id);
+                if (el.asset && assets.has(el.asset)) this.assets.set(el.asset, assets.get(el.asset));
+            });
+            this.project.boards.push(board);
+        });
+
+        // Links between the imported boards follow their new names and element ids
+        if (this.links) this.links.remapBoards(boards, nameMap, new Map([...idMap].map(([oldId, newId]) => [String(oldId), newId])));
+
+        this.switchToBoard(boards[0].id);
+        this.notifyProjectChanged();
+        return idMap;
+    }
+
+    /**
+     * @method getUniqueBoardName
+     * @description Returns `name`, or `name (2)`, `name (3)`... if a board already uses it.
+     * @param {string} name - Desired name.
+     * @param {Object} [ignoreBoard] - Board excluded from the check (the one being renamed).
+     * @param {Object} [project] - Project whose boards are checked, defaults to the open one.
+     */
+    getUniqueBoardName(name, ignoreBoard = null, project = this.project) {
+        const taken = new Set(project.boards.filter(b => b !== ignoreBoard).map(b => b.name.toLowerCase()));
+        if (!taken.has(name.toLowerCase())) return name;
+
+        const base = name.replace(/ \(\d+\)$/, '');
+        let n = 2;
+        while (taken.has(`${base} (${n})`.toLowerCase())) n++;
+        return `${base} (${n})`;
+    }
+
+    // --- LOCAL PERSISTENCE (IndexedDB) ---
+
+    createEmptyProject() {
+        return { id: this.generateProjectId(), name: "Untitled Project", boards: [] };
+    }
+
+    generateProjectId() {
+        return `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * @method resolveOpenedProjectId
+     * @description An opened file keeps the id of the project it was saved from. If that project is
+     * still in Recent Projects, the autosave would overwrite it: the user chooses between replacing
+     * it and opening the file as a separate copy (new id).
+     */
+    async resolveOpenedProjectId(data) {
+        if (!data.id) {
+            data.id = this.generateProjectId();
+            return;
+        }
+        if (!this.storage) return;
+
+        let record = null;
+        try {
+            record = await this.storage.loadProject(data.id);
+        } catch (e) {
+            return; // IndexedDB unavailable: nothing to overwrite
+        }
+        if (!record) return;
+
+        const when = new Date(record.updatedAt).toLocaleString();
+        if (!confirm(`"${record.name}" (last changed ${when}) is already in Recent Projects.\nReplace it with the content of this file?\n\nCancel opens the file as a separate copy.`)) {
+            data.id = this.generateProjectId();
+        }
+    }
+
+    /**
+     * @method notifyProjectChanged
+     * @description Must be called after every modification of the project.
+     * Debounces the autosave so bursts of edits produce a single write.
+     * @param {boolean} [boardEdited] - The content of the active board changed (updates its `modifiedAt`).
+     */
+    notifyProjectChanged(boardEdited = false) {
+        if (!this.state.boardActive) return;
+        if (boardEdited) {
+            const board = this.project.boards.find(b => b.id === this.state.activeBoardId);
+            if (board) board.modifiedAt = Date.now();
+        }
+        this.setUnsavedChanges(true);
+        if (!this.storage) return;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.persistProject(), 1000);
+    }
+
+    /**
+     * @method persistProject
+     * @description Writes the open project to IndexedDB immediately.
+     * Writes are queued so concurrent calls never interleave.
+     */
+    persistProject() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        if (!this.storage || !this.state.boardActive) return this.persistQueue;
+
+        this.saveCurrentBoardState();
+        const project = this.project;
+        this.persistQueue = this.persistQueue
+            .then(() => this.writeProjectRecord(project))
+            .catch(e => console.warn("Flux: Autosave failed.", e));
+        return this.persistQueue;
+    }
+
+    /**
+     * @method writeProjectRecord
+     * @description Serializes a project for IndexedDB. Referenced assets are stored
+     * as Blobs (once per hash) next to the project record.
+     */
+    async writeProjectRecord(project) {
+        if (project.boards.length === 0) {
+            await this.storage.deleteProject(project.id);
+            return;
+        }
+
+        await this.storage.saveProject({
+            id: project.id,
+            name: project.name,
+            updatedAt: Date.now(),
+            project: JSON.parse(JSON.stringify({ ...project, schemaVersion: this.schema.version })),
+            assets: this.getProjectAssetHashes(project),
+            // Only real handles can be stored (structured clone)
+            fileHandle: project === this.project && typeof FileSystemHandle !== 'undefined' && this.fileHandle instanceof FileSystemHandle ? this.fileHandle : null,
+            // The file is older than this copy (restored as the unsaved marker)
+            unsavedChanges: project === this.project && this.state.hasUnsavedChanges
+        }, hash => this.assets.get(hash));
+
+        // Remember which project is open, for crash recovery
+        if (this.project === project && this.state.boardActive) localStorage.setItem('flux-active-project', project.id);
+    }
+
+    /**
+     * @method openStoredProject
+     * @description Loads a project from IndexedDB together with its assets.
+     */
+    async openStoredProject(id) {
+        try {
+            const record = await this.storage.loadProject(id);
+            if (!record) {
+                alert("This project is no longer available.");
+                this.renderRecentProjects();
+                return;
+            }
+
+            const assets = new FluxAssetStore();
+            for (const hash of (record.assets || [])) {
+                const blob = await this.storage.getAsset(hash);
+                if (blob) {
+                    assets.set(hash, blob);
+                } else {
+                    console.warn(`Flux: Missing asset ${hash} in project ${id}`);
+                }
+            }
+
+            const data = await this.prepareProjectData(record.project, assets);
+            if (!data) return;
+            if (data.boards.length === 0) {
+                alert("This project has no boards to open.");
+                return;
+            }
+
+            this.replaceAssets(assets);
+            this.project = data;
+            this.fileHandle = record.fileHandle || null;
+            this.loadProjectAndStart();
+            // Changes made after the last save (e.g. before a crash) are still missing from the file
+            if (this.fileHandle && record.unsavedChanges) this.setUnsavedChanges(true);
+        } catch (e) {
+            console.error(e);
+            alert("Error loading the project from local storage.");
+        }
+    }
+
+    /**
+     * @method checkForCrashRecovery
+     * @description If the tab was closed while a project was open, offers to restore it.
+     */
+    async checkForCrashRecovery() {
+        const activeId = localStorage.getItem('flux-active-project');
+        if (!activeId || !this.storage || this.state.boardActive) return;
+
+        try {
+            const record = await this.storage.loadProject(activeId);
+            if (record && confirm(`Flux was closed while "${record.name}" was open.\nDo you want to restore it?`)) {
+                await this.openStoredProject(activeId);
+                return;
+            }
+        } catch (e) {
+            console.warn("Flux: Crash recovery failed.", e);
+        }
+        localStorage.removeItem('flux-active-project');
+    }
+
+    /**
+     * @method renderRecentProjects
+     * @description Fills the "Recent projects" list of the start menu.
+     */
+    async renderRecentProjects() {
+        if (!this.storage) return;
+
+        let projects = [];
+        try {
+            projects = await this.storage.listProjects();
+        } catch (e) {
+            console.warn("Flux: Local storage unavailable.", e);
+        }
+
+        this.dom.recentList.innerHTML = '';
+        this.dom.recentSection.classList.toggle('hidden', projects.length === 0);
+
+        projects.forEach(p => {
+            const item = document.createElement('div');
+            item.className = 'library-item';
+            item.innerHTML = `
+                <div class="lib-item-info">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 20a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-7.9a2 2 0 0 1-1.69-.9L9.6 3.9A2 2 0 0 0 7.93 3H4a2 2 0 0 0-2 2v13a2 2 0 0 0 2 2Z"/></svg>
+                    <div class="lib-item-text">
+                        <span class="lib-item-name"></span>
+                        <small class="lib-item-meta">${p.boardCount} board${p.boardCount === 1 ? '' : 's'} · ${new Date(p.updatedAt).toLocaleString()}</small>
+                    </div>
+                </div>
+                <div class="lib-actions">
+                    <button class="lib-mini-btn rename" title="Rename">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/><path d="m15 5 4 4"/></svg>
+                    </button>
+                    <button class="lib-mini-btn delete danger" title="Delete">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/><line x1="10" x2="10" y1="11" y2="17"/><line x1="14" x2="14" y1="11" y2="17"/></svg>
+                    </button>
+                </div>
+            `;
+            item.querySelector('.lib-item-name').textContent = p.name;
+
+            item.querySelector('.lib-item-info').addEventListener('click', () => this.openStoredProject(p.id));
+
+            item.querySelector('.rename').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const newName = prompt("Rename Project", p.name);
+                if (newName && newName.trim() !== "") {
+                    await this.storage.renameProject(p.id, newName.trim());
+                    this.renderRecentProjects();
+                }
+            });
+
+            item.querySelector('.delete').addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (confirm(`Delete "${p.name}" from this device? This cannot be undone.`)) {
+                    await this.storage.deleteProject(p.id);
+                    this.renderRecentProjects();
+                }
+            });
+
+            this.dom.recentList.appendChild(item);
+        });
+    }
+
     createImageAction() { this.dom.imageInput.click(); }
     createAttachmentAction() { this.dom.pdfInput.click(); }
 
-    handleImageUpload(e) {
+    async handleImageUpload(e) {
         const file = e.target.files[0];
         if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            this.whiteboard.addImage(event.target.result);
-            this.selectTool('select');
-        };
-        reader.readAsDataURL(file);
         e.target.value = "";
+        const hash = await this.assets.add(file);
+        this.whiteboard.addImage(hash);
+        this.selectTool('select');
     }
 
-    handlePdfUpload(e) {
+    async handlePdfUpload(e) {
         const file = e.target.files[0];
         if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            this.whiteboard.addPDF(file.name, event.target.result);
-            this.selectTool('select');
-        };
-        reader.readAsDataURL(file);
         e.target.value = "";
+        // Identical files share a single asset, whatever board they are dropped on
+        const hash = await this.assets.add(file);
+        this.whiteboard.addPDF(file.name, hash);
+        this.selectTool('select');
     }
 
     // --- EDITORS ROUTING ---
@@ -574,7 +1484,7 @@ class FluxApp {
         this.whiteboard.saveHistory();
         if (elId && this.whiteboard) {
             const el = this.whiteboard.elements.find(e => e.id === elId);
-            if (el) { el.content = text; el.renderedImage = null; this.whiteboard.render(); }
+            if (el) { el.content = text; el.renderedImage = null; this.whiteboard.invalidateElement(el); this.whiteboard.render(); }
         }
         this.state.editingElementId = null;
         this.dom.editorOverlay.classList.add('hidden');
@@ -593,6 +1503,7 @@ class FluxApp {
             case 'list': prefix = '- '; break;
             case 'task': prefix = '- [ ] '; break;
             case 'code': prefix = '```\n'; suffix = '\n```'; break;
+            case 'link': prefix = '[['; suffix = ']]'; break;
             case 'math-inline': prefix = '$'; suffix = '$'; break;
             case 'math-block': prefix = '$$'; suffix = '$$'; break;
         }
@@ -634,7 +1545,7 @@ class FluxApp {
         this.whiteboard.saveHistory();
         if (elId && this.whiteboard) {
             const el = this.whiteboard.elements.find(e => e.id === elId);
-            if (el) { el.content = `$$ ${rawLatex} $$`; el.renderedImage = null; this.whiteboard.render(); }
+            if (el) { el.content = `$$ ${rawLatex} $$`; el.renderedImage = null; this.whiteboard.invalidateElement(el); this.whiteboard.render(); }
         }
         this.state.editingElementId = null;
         this.dom.formulaOverlay.classList.add('hidden');
@@ -676,13 +1587,21 @@ class FluxApp {
 
     // --- UI HELPERS ---
 
-    syncStrokeUI(v) { this.dom.btnStrokePicker.textContent = `${v}px`; this.dom.strokeSlider.value = v; this.dom.strokeNumber.value = v; }
+    syncStrokeUI(v) {
+        this.dom.btnStrokePicker.textContent = `${v}px`;
+        this.dom.strokeSlider.value = v; this.dom.strokeNumber.value = v;
+    }
+    setEraserWidth(v) {
+        if(this.whiteboard) this.whiteboard.config.eraserWidth = v;
+        this.dom.btnEraserSize.textContent = `${v}px`;
+    }
     syncPickerButtonAppearance(btn, c, isA) { if(isA){ btn.className='color-dot auto'; btn.style.background=''; } else if(c==='transparent'){ btn.className='color-dot transparent'; btn.style.background=''; } else { btn.className='color-dot'; btn.style.background=c; } }
     
     updateSelectedProperty(cb) { 
         if(this.whiteboard) { 
             this.whiteboard.saveHistory(); 
-            this.whiteboard.interaction.selectedElements.forEach(cb); 
+            // Stroke widths change the hit area of lines and pen strokes
+            this.whiteboard.interaction.selectedElements.forEach(el => { cb(el); this.whiteboard.invalidateElement(el); }); 
             this.whiteboard.render(); 
             this.updateEditBar(); 
             this.syncHistoryUI(); 
@@ -701,6 +1620,8 @@ class FluxApp {
         const sel = this.whiteboard.interaction.selectedElements;
         if(sel.length > 0) {
             this.dom.editBar.classList.remove('hidden');
+            this.dom.btnCopyLink.style.display = this.links && sel.length === 1 ? 'flex' : 'none';
+            this.dom.btnTransfer.style.display = this.transfer && this.project.boards.length > 1 ? 'flex' : 'none';
             if(sel.length === 1) {
                 const el = sel[0];
                 const isL = el.type === 'line', isS = el.type === 'shape', isT = el.type === 'text', isI = el.type === 'image', isP = el.type === 'pdf';
@@ -747,69 +1668,165 @@ class FluxApp {
         this.dom.libBoardList.innerHTML = '';
         if (!this.project || !this.project.boards) return;
 
-        this.project.boards.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+        // Boards keep the order of the project (manual order) unless the organizer sorts them
+        const rendered = [];
+        const createItem = (board) => {
+            const item = this.createLibraryItem(board);
+            rendered.push({ board, item });
+            return item;
+        };
+        if (this.organizer) this.organizer.render(createItem);
+        else this.project.boards.forEach(board => this.dom.libBoardList.appendChild(createItem(board)));
 
-        this.project.boards.forEach((board) => {
-            const item = document.createElement('div');
-            const isActive = this.state.activeBoardId === board.id;
-            item.className = `library-item ${isActive ? 'active' : ''}`;
-            
-            item.innerHTML = `
-                <div class="lib-item-info">
+        // Thumbnails are only rendered while the library is open
+        if (this.thumbnails && !this.dom.libPopup.classList.contains('hidden')) {
+            rendered.forEach(({ board, item }) => this.thumbnails.show(board, item.querySelector('.lib-thumb-img')));
+        }
+    }
+
+    /**
+     * @method createLibraryItem
+     * @description Library entry of a board: open, organize, save as template, rename, delete.
+     */
+    createLibraryItem(board) {
+        const item = document.createElement('div');
+        const isActive = this.state.activeBoardId === board.id;
+        item.className = `library-item ${isActive ? 'active' : ''}`;
+        
+        item.innerHTML = `
+            <div class="lib-item-info">
+                <div class="lib-thumb">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 3h20"/><path d="M21 3v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V3"/><path d="m7 21 5-5 5 5"/></svg>
-                    <span>${board.name}</span>
+                    <img class="lib-thumb-img" alt="" />
                 </div>
-                <div class="lib-actions">
-                    <button class="lib-mini-btn rename" title="Rename">
-                        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/><path d="m15 5 4 4"/></svg>
-                    </button>
-                    <button class="lib-mini-btn delete danger" title="Delete">
-                        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/><line x1="10" x2="10" y1="11" y2="17"/><line x1="14" x2="14" y1="11" y2="17"/></svg>
-                    </button>
-                </div>
-            `;
-
-            item.querySelector('.lib-item-info').addEventListener('click', () => { 
-                this.switchToBoard(board.id); 
-                this.dom.libPopup.classList.add('hidden'); 
-            });
-            
-            item.querySelector('.rename').addEventListener('click', (e) => {
+                <span class="lib-item-name"></span>
+            </div>
+            <div class="lib-actions">
+                <button class="lib-mini-btn organize" title="Tags & Folder">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12.586 2.586A2 2 0 0 0 11.172 2H4a2 2 0 0 0-2 2v7.172a2 2 0 0 0 .586 1.414l8.704 8.704a2.426 2.426 0 0 0 3.42 0l6.58-6.58a2.426 2.426 0 0 0 0-3.42z"/><circle cx="7.5" cy="7.5" r=".5" fill="currentColor"/></svg>
+                </button>
+                <button class="lib-mini-btn template" title="Save as Template">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect width="18" height="7" x="3" y="3" rx="1"/><rect width="9" height="7" x="3" y="14" rx="1"/><rect width="5" height="7" x="16" y="14" rx="1"/></svg>
+                </button>
+                <button class="lib-mini-btn rename" title="Rename">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/><path d="m15 5 4 4"/></svg>
+                </button>
+                <button class="lib-mini-btn delete danger" title="Delete">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/><line x1="10" x2="10" y1="11" y2="17"/><line x1="14" x2="14" y1="11" y2="17"/></svg>
+                </button>
+            </div>
+        `;
+        item.querySelector('.lib-item-name').textContent = board.name;
+        if (!this.templates) item.querySelector('.template').remove();
+
+        if (this.organizer) {
+            item.querySelector('.lib-item-info').appendChild(this.organizer.createTagList(board));
+            item.querySelector('.organize').addEventListener('click', (e) => {
                 e.stopPropagation();
-                const newName = prompt("Rename Board", board.name);
-                if(newName && newName.trim() !== "") { 
-                    board.name = newName.trim(); 
-                    this.renderLibrary();
-                }
+                this.organizer.openBoardMenu(board, e.currentTarget);
             });
-            
-            item.querySelector('.delete').addEventListener('click', (e) => {
+        } else {
+            item.querySelector('.organize').remove();
+        }
+
+        item.querySelector('.lib-item-info').addEventListener('click', () => { 
+            this.switchToBoard(board.id); 
+            this.dom.libPopup.classList.add('hidden'); 
+        });
+        
+        if (this.templates) {
+            item.querySelector('.template').addEventListener('click', (e) => {
                 e.stopPropagation();
-                if(confirm(`Are you sure you want to delete "${board.name}"?`)) {
-                    this.project.boards = this.project.boards.filter(b => b.id !== board.id);
-                    if (this.project.boards.length === 0) this.returnToHome();
-                    else if(this.state.activeBoardId === board.id) this.switchToBoard(this.project.boards[0].id);
-                    else this.renderLibrary();
-                }
+                this.dom.libPopup.classList.add('hidden');
+                this.templates.saveBoard(board);
             });
+        }
 
-            this.dom.libBoardList.appendChild(item);
+        item.querySelector('.rename').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const newName = prompt("Rename Board", board.name);
+            if(newName && newName.trim() !== "") { 
+                const oldName = board.name;
+                board.name = this.getUniqueBoardName(newName.trim(), board); 
+                if (this.links && board.name !== oldName) this.links.renameBoard(oldName, board.name);
+                this.renderLibrary();
+                this.notifyProjectChanged();
+            }
         });
+        
+        item.querySelector('.delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            // The last board cannot go to the trash: the project is closed and removed with it
+            if (!this.trash || this.project.boards.length === 1) {
+                if (!confirm(`Are you sure you want to delete "${board.name}"?`)) return;
+                this.project.boards = this.project.boards.filter(b => b.id !== board.id);
+            } else {
+                this.trash.trashBoard(board);
+            }
+            if (this.project.boards.length === 0) this.returnToHome();
+            else if(this.state.activeBoardId === board.id) this.switchToBoard(this.project.boards[0].id);
+            else this.renderLibrary();
+            this.notifyProjectChanged();
+        });
+
+        return item;
     }
 
-    reorderBoards(srcId, targetId) {
-        if (!srcId || srcId === targetId) return;
-        
-        const srcIndex = this.project.boards.findIndex(b => b.id == srcId);
-        const targetIndex = this.project.boards.findIndex(b => b.id == targetId);
-        
-        if (srcIndex > -1 && targetIndex > -1) {
-            const [movedBoard] = this.project.boards.splice(srcIndex, 1);
-            this.project.boards.splice(targetIndex, 0, movedBoard);
-            this.renderLibrary();
-        }
+    /**
+     * @method ensureUniqueBoardNames
+     * @description Renames boards whose name is already used by a previous board
+     * (e.g. projects saved before names were kept unique). Runs when a project is opened or imported.
+     */
+    ensureUniqueBoardNames(project) {
+        const seen = new Set();
+        project.boards.forEach(board => {
+            if (seen.has(board.name.toLowerCase())) {
+                const oldName = board.name;
+                board.name = this.getUniqueBoardName(board.name, board, project);
+                if (this.links) this.links.renameDuplicateBoard(project, board, oldName);
+            }
+            seen.add(board.name.toLowerCase());
+        });
     }
-    
+
+    setLibraryLayout(layout) {
+        this.state.libraryLayout = layout;
+        this.dom.libPopup.classList.toggle('grid-layout', layout === 'grid');
+        this.dom.btnLibLayoutToggle.title = layout === 'grid' ? "List View" : "Grid View";
+    }
+
+    /**
+     * @method setStabilizer
+     * @description Pen stabilization level: 0 (off), 1 (low) or 2 (high).
+     */
+    setStabilizer(level) {
+        const strengths = [0, 0.5, 0.8];
+        if (!(level in strengths)) level = 0;
+        if (this.whiteboard) this.whiteboard.config.stabilization = strengths[level];
+        this.dom.stabilizerBtns.forEach(btn => btn.classList.toggle('active', parseInt(btn.dataset.stabilizer, 10) === level));
+    }
+
+    /**
+     * @method setTouchMode
+     * @description 'tools' (fingers draw and select) or 'stylus' (fingers only pan and zoom),
+     * on the board and in the PDF viewer.
+     */
+    setTouchMode(mode) {
+        const stylusOnly = mode === 'stylus';
+        if (this.whiteboard) this.whiteboard.input.stylusOnly = stylusOnly;
+        if (this.pdfViewer) this.pdfViewer.input.stylusOnly = stylusOnly;
+        this.dom.touchModeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.touchMode === mode));
+    }
+
+    /**
+     * @method setEraserMode
+     * @description 'stroke' (removes every stroke and line it touches) or 'partial' (cuts pen strokes).
+     */
+    setEraserMode(mode) {
+        if (this.whiteboard) this.whiteboard.config.eraserMode = mode;
+        this.dom.eraserModeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.eraserMode === mode));
+    }
+
     switchLibraryView(mode) {
         this.state.libraryMode = mode;
         if (mode === 'boards') {
@@ -818,6 +1835,7 @@ class FluxApp {
             this.dom.libFooterBoards.classList.remove('hidden');
             this.dom.libTitle.textContent = "Library";
             this.dom.btnLibModeToggle.classList.remove('active');
+            this.dom.btnLibLayoutToggle.classList.remove('hidden');
             this.renderLibrary(); 
         } else {
             this.dom.libViewBoards.classList.add('hidden');
@@ -825,6 +1843,7 @@ class FluxApp {
             this.dom.libFooterBoards.classList.add('hidden'); 
             this.dom.libTitle.textContent = "Documents";
             this.dom.btnLibModeToggle.classList.add('active');
+            this.dom.btnLibLayoutToggle.classList.add('hidden');
             this.renderPDFLibrary();
         }
     }
@@ -874,8 +1893,11 @@ class FluxApp {
                     const targetIndex = allElements.findIndex(el => el.id == targetId);
                     if (srcIndex > -1 && targetIndex > -1) {
                         this.whiteboard.saveHistory();
-                        const [movedPDF] = allElements.splice(srcIndex, 1);
-                        allElements.splice(targetIndex, 0, movedPDF);
+                        // A new array: the spatial index and the cached tiles follow the new drawing order
+                        const reordered = [...allElements];
+                        const [movedPDF] = reordered.splice(srcIndex, 1);
+                        reordered.splice(targetIndex, 0, movedPDF);
+                        this.whiteboard.elements = reordered;
                         this.renderPDFLibrary();
                         this.whiteboard.render();
                     }
@@ -898,16 +1920,53 @@ class FluxApp {
 
     switchToBoard(id) {
         this.saveCurrentBoardState();
-        this.state.activeBoardId = id;
         const board = this.project.boards.find(b => b.id === id);
+        if (board) this.swapBoardHistory(this.state.activeBoardId, id);
+        this.state.activeBoardId = id;
         if (this.whiteboard && board) {
             this.whiteboard.loadState({ elements: board.elements, view: board.view });
-            this.whiteboard.history.undoStack = []; this.whiteboard.history.redoStack = [];
             this.syncHistoryUI(); this.updateEditBar(); this.whiteboard.render();
         }
         this.renderLibrary();
     }
 
+    /**
+     * @method swapBoardHistory
+     * @description Keeps the undo/redo stacks of the board being left and loads those of the next one,
+     * so every board can be undone for the whole session.
+     */
+    swapBoardHistory(fromId, toId) {
+        if (!this.whiteboard) return;
+        const history = this.whiteboard.history;
+        if (fromId !== toId && this.project.boards.some(b => b.id === fromId)) {
+            this.boardHistories.set(fromId, { undoStack: history.undoStack, redoStack: history.redoStack });
+        }
+        const next = this.getBoardHistory(toId);
+        this.boardHistories.delete(toId);
+        history.undoStack = next.undoStack;
+        history.redoStack = next.redoStack;
+    }
+
+    getBoardHistory(id) {
+        if (!this.boardHistories.has(id)) this.boardHistories.set(id, { undoStack: [], redoStack: [] });
+        return this.boardHistories.get(id);
+    }
+
+    /**
+     * @method saveBoardHistory
+     * @description Undo step for a board that is not on screen, taken before changing its elements.
+     */
+    saveBoardHistory(board) {
+        if (board.id === this.state.activeBoardId) {
+            this.whiteboard.saveHistory();
+            return;
+        }
+        const history = this.getBoardHistory(board.id);
+        history.undoStack.push(JSON.stringify(board.elements));
+        history.redoStack = [];
+        if (history.undoStack.length > this.whiteboard.history.maxDepth) history.undoStack.shift();
+    }
+
     selectTool(t) {
         this.state.activeTool = t; 
         this.dom.toolBtns.forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-tool') === t));
@@ -924,35 +1983,77 @@ class FluxApp {
         this.dom.toolbar.classList.remove('hidden'); 
         this.dom.btnHome.classList.remove('hidden');
         this.dom.btnSave.classList.remove('hidden'); 
+        this.dom.btnSaveAs.classList.remove('hidden');
+        this.dom.btnSearch.classList.toggle('hidden', !this.search);
+        this.dom.btnHistory.classList.remove('hidden');
+        this.dom.btnExport.classList.remove('hidden');
         this.dom.libNav.classList.remove('hidden');
         if(this.whiteboard) this.whiteboard.resize();
         this.state.boardActive = true; 
         this.renderLibrary();
+        this.notifyProjectChanged();
+        // An empty new project has nothing to lose yet
+        this.setUnsavedChanges(false);
     }
 
-    addNewBoardToProject(name) {
+    /**
+     * @method addNewBoardToProject
+     * @param {string} [name] - Board name (made unique).
+     * @param {Object} [content] - { elements, view } of the new board (e.g. from a template). Empty by default.
+     */
+    addNewBoardToProject(name, content = null) {
         this.saveCurrentBoardState();
         const id = Date.now();
-        const boardName = name || `Board ${this.project.boards.length + 1}`;
-        const newBoard = { id, name: boardName, elements: [], view: { offsetX: window.innerWidth / 2, offsetY: window.innerHeight / 2, scale: 1 } };
+        const boardName = this.getUniqueBoardName(name || `Board ${this.project.boards.length + 1}`);
+        const newBoard = {
+            id,
+            name: boardName,
+            modifiedAt: Date.now(),
+            elements: content ? content.elements : [],
+            view: content ? content.view : { offsetX: window.innerWidth / 2, offsetY: window.innerHeight / 2, scale: 1 }
+        };
         this.project.boards.push(newBoard);
-        this.state.activeBoardId = id;
-        if(this.whiteboard) this.whiteboard.clearBoard();
-        this.renderLibrary();
+        if (content) {
+            this.switchToBoard(id);
+        } else {
+            this.swapBoardHistory(this.state.activeBoardId, id);
+            this.state.activeBoardId = id;
+            if(this.whiteboard) this.whiteboard.clearBoard();
+            this.syncHistoryUI();
+            this.renderLibrary();
+        }
+        this.notifyProjectChanged();
     }
 
-    returnToHome() {
-        this.project = { name: "Untitled Project", boards: [] };
+    async returnToHome() {
+        // Make sure the latest state (including the view) is stored before leaving
+        if (this.state.boardActive) await this.persistProject();
+        localStorage.removeItem('flux-active-project');
+
+        this.project = this.createEmptyProject();
+        this.fileHandle = null;
+        this.assets.clear();
+        if (this.thumbnails) this.thumbnails.clear();
+        if (this.links) this.links.clear();
+        if (this.search) this.search.clear();
+        if (this.trash) this.trash.close();
+        this.boardHistories.clear();
         this.state.activeBoardId = null;
         this.dom.canvas.classList.add('hidden'); 
         this.dom.toolbar.classList.add('hidden'); 
         this.dom.editBar.classList.add('hidden'); 
         this.dom.btnHome.classList.add('hidden');
         this.dom.btnSave.classList.add('hidden'); 
+        this.dom.btnSaveAs.classList.add('hidden');
+        this.dom.btnSearch.classList.add('hidden');
+        this.dom.btnHistory.classList.add('hidden');
+        this.dom.btnExport.classList.add('hidden');
         this.dom.libNav.classList.add('hidden'); 
         this.state.boardActive = false; 
+        this.setUnsavedChanges(false);
         this.dom.menu.classList.remove('hidden'); 
         this.renderLibrary();
+        this.renderRecentProjects();
         
         if (this.pdfViewer) {
             this.pdfViewer.close();
@@ -960,7 +2061,10 @@ class FluxApp {
     }
 
     async hardResetApp() { 
-        if(!confirm("Reset app? This will clear all data.")) return; 
+        const unsaved = this.hasUnsavedWork() ? `\nUnsaved changes to "${this.project.name}" will be lost.` : "";
+        if(!confirm("Reset app? This will clear all data." + unsaved)) return; 
+        // Already confirmed: no second prompt when the page reloads
+        this.setUnsavedChanges(false);
         try { 
             if(navigator.serviceWorker){ 
                 const rs = await navigator.serviceWorker.getRegistrations(); 
@@ -970,6 +2074,7 @@ class FluxApp {
                 const ns = await caches.keys(); 
                 for(let n of ns) await caches.delete(n); 
             } 
+            if(this.storage) await this.storage.destroy();
             localStorage.clear(); 
             sessionStorage.clear(); 
             location.reload(true); 
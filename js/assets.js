@@ -0,0 +1,103 @@
+/**
+ * @class FluxAssetStore
+ * @description In-memory registry of the binary assets (images, PDFs) of the open project.
+ * Assets are identified by the SHA-256 hash of their content: elements reference them
+ * through `el.asset`, so the same file is stored only once no matter how many
+ * elements (or boards) use it.
+ */
+class FluxAssetStore {
+    constructor() {
+        /** @type {Map<string, {blob: Blob, url: ?string}>} */
+        this.assets = new Map();
+
+        this.mimeTypes = {
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            gif: 'image/gif',
+            webp: 'image/webp',
+            svg: 'image/svg+xml',
+            bmp: 'image/bmp',
+            pdf: 'application/pdf'
+        };
+    }
+
+    /**
+     * @method hashBlob
+     * @description Computes the hex encoded SHA-256 digest of a Blob.
+     */
+    async hashBlob(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @method add
+     * @description Registers a Blob (or File) and returns its hash. Duplicates are ignored.
+     * @returns {Promise<string>} The content hash.
+     */
+    async add(blob) {
+        const hash = await this.hashBlob(blob);
+        if (!this.assets.has(hash)) this.assets.set(hash, { blob, url: null });
+        return hash;
+    }
+
+    /**
+     * @method addDataUrl
+     * @description Converts a data-URL (legacy project format) into a registered asset.
+     */
+    async addDataUrl(dataUrl) {
+        const blob = await (await fetch(dataUrl)).blob();
+        return this.add(blob);
+    }
+
+    /**
+     * @method set
+     * @description Registers a Blob under an already known hash (ZIP entries, IndexedDB).
+     */
+    set(hash, blob) {
+        if (!this.assets.has(hash)) this.assets.set(hash, { blob, url: null });
+    }
+
+    has(hash) { return this.assets.has(hash); }
+
+    get(hash) {
+        const entry = this.assets.get(hash);
+        return entry ? entry.blob : null;
+    }
+
+    /**
+     * @method getUrl
+     * @description Returns a (cached) object URL usable as `src` for images and pdf.js.
+     */
+    getUrl(hash) {
+        const entry = this.assets.get(hash);
+        if (!entry) return null;
+        if (!entry.url) entry.url = URL.createObjectURL(entry.blob);
+        return entry.url;
+    }
+
+    /**
+     * @method getFileName
+     * @description File name used inside project archives: `<hash>.<extension>`.
+     */
+    getFileName(hash) {
+        const blob = this.get(hash);
+        const type = blob ? blob.type : '';
+        const ext = Object.keys(this.mimeTypes).find(key => this.mimeTypes[key] === type) || 'bin';
+        return `${hash}.${ext}`;
+    }
+
+    getTypeForFileName(fileName) {
+        const ext = fileName.split('.').pop().toLowerCase();
+        return this.mimeTypes[ext === 'jpeg' ? 'jpg' : ext] || 'application/octet-stream';
+    }
+
+    /**
+     * @method clear
+     * @description Drops every asset and releases their object URLs.
+     */
+    clear() {
+        this.assets.forEach(entry => { if (entry.url) URL.revokeObjectURL(entry.url); });
+        this.assets.clear();
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * @class FluxExcalidrawImporter
+ * @description Converts Excalidraw scenes (`.excalidraw` files) into Flux boards.
+ * Mapping:
+ * - rectangle / ellipse / diamond -> shape (rect / circle / diamond)
+ * - arrow / line -> one line element per segment (arrowheads on the first/last segment)
+ * - freedraw -> pen
+ * - text -> text (Markdown-escaped)
+ * - image -> image (embedded file moved to the asset store)
+ * Colors, stroke widths and dash styles are kept. Everything else is reported as not converted.
+ */
+class FluxExcalidrawImporter {
+    constructor() {
+        this.shapeTypes = { rectangle: 'rect', ellipse: 'circle', diamond: 'diamond' };
+
+        // Excalidraw's default ink: mapped to Flux's auto color so it follows the theme
+        this.defaultInks = ['#000000', '#1e1e1e'];
+    }
+
+    /**
+     * @method isScene
+     * @description True for Excalidraw files and clipboard payloads.
+     */
+    isScene(data) {
+        return !!data && typeof data === 'object' && Array.isArray(data.elements) &&
+            (data.type === 'excalidraw' || data.type === 'excalidraw/clipboard');
+    }
+
+    /**
+     * @method convert
+     * @param {Object} scene - Parsed Excalidraw file.
+     * @param {Object} options - { name, assets: FluxAssetStore, defaultColor }
+     * @returns {Promise<Object>} { project, report: { converted, skipped: Map<string, number>, unrotated } }
+     */
+    async convert(scene, { name, assets, defaultColor }) {
+        const usedIds = new Set();
+        const newId = () => window.flux.schema.generateId(usedIds);
+        const report = { converted: 0, skipped: new Map(), unrotated: 0 };
+        const skip = (reason) => report.skipped.set(reason, (report.skipped.get(reason) || 0) + 1);
+
+        const elements = [];
+        for (const item of scene.elements) {
+            if (!item || item.isDeleted) continue;
+
+            let converted = [];
+            try {
+                converted = await this.convertElement(item, scene.files || {}, assets, defaultColor, skip);
+            } catch (e) {
+                console.error(e);
+                skip(`${item.type} (invalid data)`);
+                continue;
+            }
+            if (converted.length === 0) continue;
+
+            // Lines and strokes are rotated point by point; boxes have no rotation in Flux
+            if (item.angle && !['arrow', 'line', 'freedraw'].includes(item.type)) report.unrotated++;
+
+            converted.forEach(el => { el.id = newId(); elements.push(el); });
+            report.converted++;
+        }
+
+        const board = { id: newId(), name, elements, view: window.flux.whiteboard.getCenteredView(elements) };
+        return { project: { name, schemaVersion: window.flux.schema.version, boards: [board] }, report };
+    }
+
+    /**
+     * @method convertElement
+     * @returns {Promise<Array<Object>>} Flux elements (empty when the item is skipped).
+     */
+    async convertElement(item, files, assets, defaultColor, skip) {
+        const isAutoColor = this.defaultInks.includes(String(item.strokeColor).toLowerCase());
+        const color = isAutoColor ? defaultColor : (item.strokeColor || defaultColor);
+        const dashStyle = ['dashed', 'dotted'].includes(item.strokeStyle) ? item.strokeStyle : 'solid';
+        const strokeWidth = item.strokeWidth > 0 ? item.strokeWidth : 2;
+
+        if (this.shapeTypes[item.type]) {
+            const hasFill = item.backgroundColor && item.backgroundColor !== 'transparent';
+            return [{
+                type: 'shape',
+                shapeType: this.shapeTypes[item.type],
+                ...this.getBox(item),
+                color,
+                fillColor: hasFill ? item.backgroundColor : 'transparent',
+                isAutoColor,
+                isAutoFill: false,
+                strokeWidth,
+                dashStyle
+            }];
+        }
+
+        if (item.type === 'arrow' || item.type === 'line') {
+            const points = this.getAbsolutePoints(item);
+            if (points.length < 2) { skip(`${item.type} (no points)`); return []; }
+
+            const lines = [];
+            for (let i = 1; i < points.length; i++) {
+                lines.push({
+                    type: 'line',
+                    p1: points[i - 1],
+                    p2: points[i],
+                    color,
+                    isAutoColor,
+                    width: strokeWidth,
+                    dashStyle,
+                    arrowStart: i === 1 && !!item.startArrowhead,
+                    arrowEnd: i === points.length - 1 && !!item.endArrowhead
+                });
+            }
+            return lines;
+        }
+
+        if (item.type === 'freedraw') {
+            const points = this.getAbsolutePoints(item);
+            if (points.length === 0) { skip('freedraw (no points)'); return []; }
+            if (points.length === 1) points.push({ ...points[0] });
+            return [{ type: 'pen', points, color, isAutoColor, width: strokeWidth, dashStyle: 'solid' }];
+        }
+
+        if (item.type === 'text') {
+            const fontSize = item.fontSize > 0 ? item.fontSize : 20;
+            const box = this.getBox(item);
+            // Flux renders Markdown: leave some room for its margins and different fonts
+            return [{
+                type: 'text',
+                content: this.toMarkdown(item.originalText || item.text || ''),
+                x: box.x,
+                y: box.y,
+                width: box.width + fontSize,
+                height: box.height + fontSize,
+                color,
+                isAutoColor,
+                fontSize,
+                renderedImage: null
+            }];
+        }
+
+        if (item.type === 'image') {
+            const file = files[item.fileId];
+            if (!file || typeof file.dataURL !== 'string') { skip('image (file missing)'); return []; }
+            const asset = await assets.addDataUrl(file.dataURL);
+            return [{ type: 'image', asset, ...this.getBox(item), imgObj: null }];
+        }
+
+        skip(item.type || 'unknown');
+        return [];
+    }
+
+    getBox(item) {
+        // Excalidraw allows negative sizes while drawing; normalize them
+        const width = Math.abs(item.width) || 1;
+        const height = Math.abs(item.height) || 1;
+        return {
+            x: item.width < 0 ? item.x + item.width : item.x,
+            y: item.height < 0 ? item.y + item.height : item.y,
+            width,
+            height
+        };
+    }
+
+    /**
+     * @method getAbsolutePoints
+     * @description Converts the relative `[x, y]` points of linear elements to world points,
+     * applying the element rotation (around the center of the points' bounding box).
+     */
+    getAbsolutePoints(item) {
+        if (!Array.isArray(item.points)) return [];
+        const points = item.points
+            .filter(p => Array.isArray(p) && isFinite(p[0]) && isFinite(p[1]))
+            .map(p => ({ x: item.x + p[0], y: item.y + p[1] }));
+        if (!item.angle || points.length === 0) return points;
+
+        const xs = points.map(p => p.x), ys = points.map(p => p.y);
+        const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+        const cos = Math.cos(item.angle), sin = Math.sin(item.angle);
+        return points.map(p => ({
+            x: cx + (p.x - cx) * cos - (p.y - cy) * sin,
+            y: cy + (p.x - cx) * sin + (p.y - cy) * cos
+        }));
+    }
+
+    /**
+     * @method toMarkdown
+     * @description Escapes plain text so Markdown/LaTeX syntax is shown literally, keeping line breaks.
+     * `$` becomes an entity: marked would turn `\$` back into a `$` the math pass then picks up.
+     */
+    toMarkdown(text) {
+        return String(text)
+            .split('\n')
+            .map(line => line
+                .replace(/([\\`*_[\]<>|~])/g, '\\$1')
+                .replace(/^(\s*)([#>+-]|\d+\.)(\s)/, '$1\\$2$3')
+                .replace(/\$/g, '&#36;'))
+            .join('  \n');
+    }
+
+    /**
+     * @method formatReport
+     * @description Human readable summary, or null when everything was converted as is.
+     */
+    formatReport(report) {
+        if (report.skipped.size === 0 && report.unrotated === 0) return null;
+
+        const lines = [`Imported ${report.converted} Excalidraw element(s).`];
+        if (report.skipped.size > 0) {
+            lines.push("", "These elements could not be converted:");
+            report.skipped.forEach((count, type) => lines.push(`- ${count} × ${type}`));
+        }
+        if (report.unrotated > 0) {
+            lines.push("", `${report.unrotated} rotated shape(s), text(s) or image(s) were imported without rotation.`);
+        }
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,798 @@
+/**
+ * @class FluxExporter
+ * @description Exports board content to standard file formats.
+ * Features:
+ * - Vector SVG of the whole board or of the current selection (tight bounding box)
+ * - Lines (dash styles, arrowheads), pen strokes, shapes, images
+ * - Markdown/KaTeX text and PDF cards embedded through the same foreignObject markup used on canvas
+ * - PNG of the board, the viewport or the selection at 1x/2x/4x, rendered offscreen by `drawElements`
+ * - Multi-page PDF of one or all boards (see FluxPdfWriter): one page per board fitted to
+ *   its content, or tiled across A4/Letter pages at a chosen scale. Lines, shapes and pen
+ *   strokes stay vectors; text, formulas and PDF cards are rasterized at print resolution.
+ * - Markdown bundle (ZIP): one `.md` file per board with its notes in reading order,
+ *   images in `images/` and PDFs in `attachments/`, ready for Obsidian or any Markdown editor.
+ * - JSON Canvas (`.canvas`) of the board (see FluxJsonCanvas), zipped with its files when it has any
+ */
+class FluxExporter {
+    constructor() {
+        this.dom = {
+            modal: document.getElementById('export-modal'),
+            btnClose: document.getElementById('btn-close-export'),
+            btnConfirm: document.getElementById('btn-export-confirm'),
+            formatBtns: document.querySelectorAll('#export-modal [data-export-format]'),
+            scopeBtns: document.querySelectorAll('#export-modal [data-export-scope]'),
+            scaleBtns: document.querySelectorAll('#export-modal [data-export-scale]'),
+            backgroundBtns: document.querySelectorAll('#export-modal [data-export-background]'),
+            boardsBtns: document.querySelectorAll('#export-modal [data-export-boards]'),
+            pageBtns: document.querySelectorAll('#export-modal [data-export-page]'),
+            printScaleBtns: document.querySelectorAll('#export-modal [data-export-print-scale]'),
+            optionGroups: document.querySelectorAll('#export-modal [data-export-formats]')
+        };
+
+        this.options = {
+            format: 'svg',
+            scope: 'board',          // 'board', 'viewport' (PNG only) or 'selection'
+            scale: 2,                // PNG pixel density: 1, 2 or 4
+            background: 'theme',     // PNG background: 'transparent', 'theme' or 'grid'
+            boards: 'current',       // PDF and Markdown: 'current' or 'all'
+            page: 'fit',             // PDF: 'fit', 'a4' or 'letter'
+            printScale: 0.5          // PDF tiled pages: world units to printed CSS pixels
+        };
+
+        // Empty space around a whole-board export (selection exports are tight)
+        this.boardMargin = 20;
+
+        // Largest canvas area accepted by every browser we target (iOS Safari: 16.7 MP)
+        this.maxCanvasArea = 16777216;
+
+        // PDF output: paper sizes in points (1/72 inch), page margin of tiled pages,
+        // resolution of rasterized content and color of theme-colored elements on paper
+        this.paperSizes = {
+            a4: { width: 595.28, height: 841.89 },
+            letter: { width: 612, height: 792 }
+        };
+        this.pageMargin = 36;
+        this.printDPI = 300;
+        this.printColor = '#1a1a1d';
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.dom.btnClose.addEventListener('click', () => this.close());
+        this.dom.modal.addEventListener('click', (e) => { if (e.target === this.dom.modal) this.close(); });
+
+        this.dom.formatBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.options.format = btn.getAttribute('data-export-format');
+            this.syncUI();
+        }));
+        this.dom.scopeBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.options.scope = btn.getAttribute('data-export-scope');
+            this.syncUI();
+        }));
+        this.dom.scaleBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.options.scale = parseInt(btn.getAttribute('data-export-scale'));
+            this.syncUI();
+        }));
+        this.dom.backgroundBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.options.background = btn.getAttribute('data-export-background');
+            this.syncUI();
+        }));
+        this.dom.boardsBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.options.boards = btn.getAttribute('data-export-boards');
+            this.syncUI();
+        }));
+        this.dom.pageBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.options.page = btn.getAttribute('data-export-page');
+            this.syncUI();
+        }));
+        this.dom.printScaleBtns.forEach(btn => btn.addEventListener('click', () => {
+            this.options.printScale = parseFloat(btn.getAttribute('data-export-print-scale'));
+            this.syncUI();
+        }));
+
+        this.dom.btnConfirm.addEventListener('click', () => this.run());
+    }
+
+    /**
+     * @method open
+     * @description Shows the export dialog. Defaults to the selection when something is selected.
+     */
+    open() {
+        const wb = window.flux.whiteboard;
+        this.options.scope = wb && wb.interaction.selectedElements.length > 0 ? 'selection' : 'board';
+        this.syncUI();
+        this.dom.modal.classList.remove('hidden');
+    }
+
+    close() {
+        this.dom.modal.classList.add('hidden');
+    }
+
+    syncUI() {
+        const hasSelection = window.flux.whiteboard && window.flux.whiteboard.interaction.selectedElements.length > 0;
+        if (!hasSelection && this.options.scope === 'selection') this.options.scope = 'board';
+        if (this.options.scope === 'viewport' && this.options.format !== 'png') this.options.scope = 'board';
+
+        this.dom.formatBtns.forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-export-format') === this.options.format));
+        this.dom.scaleBtns.forEach(btn => btn.classList.toggle('active', parseInt(btn.getAttribute('data-export-scale')) === this.options.scale));
+        this.dom.backgroundBtns.forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-export-background') === this.options.background));
+        this.dom.boardsBtns.forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-export-boards') === this.options.boards));
+        this.dom.pageBtns.forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-export-page') === this.options.page));
+        this.dom.printScaleBtns.forEach(btn => btn.classList.toggle('active', parseFloat(btn.getAttribute('data-export-print-scale')) === this.options.printScale));
+        this.dom.scopeBtns.forEach(btn => {
+            const scope = btn.getAttribute('data-export-scope');
+            btn.classList.toggle('active', scope === this.options.scope);
+            btn.disabled = scope === 'selection' && !hasSelection;
+        });
+        // Only show the options relevant to the chosen format (and PDF page layout)
+        this.dom.optionGroups.forEach(group => {
+            const pages = group.getAttribute('data-export-pages');
+            const isRelevant = group.getAttribute('data-export-formats').split(' ').includes(this.options.format) &&
+                (!pages || pages.split(' ').includes(this.options.page));
+            group.classList.toggle('hidden', !isRelevant);
+        });
+    }
+
+    /**
+     * @method run
+     * @description Exports with the options chosen in the dialog.
+     */
+    async run() {
+        const app = window.flux;
+        app.saveCurrentBoardState();
+
+        this.dom.btnConfirm.disabled = true;
+        try {
+            if (this.options.format === 'svg') await this.exportSVG(this.options.scope);
+            else if (this.options.format === 'png') await this.exportPNG(this.options.scope, this.options.scale, this.options.background);
+            else if (this.options.format === 'pdf') await this.exportPDF(this.options.boards, this.options.page, this.options.printScale);
+            else if (this.options.format === 'md') await this.exportMarkdown(this.options.boards);
+            else if (this.options.format === 'canvas') await this.exportCanvas();
+            this.close();
+        } catch (e) {
+            console.error(e);
+            alert("Export failed: " + e.message);
+        } finally {
+            this.dom.btnConfirm.disabled = false;
+        }
+    }
+
+    // --- HELPERS ---
+
+    /**
+     * @method getScopeElements
+     * @description Elements of the active board to export, in drawing order.
+     */
+    getScopeElements(scope) {
+        const wb = window.flux.whiteboard;
+        if (scope === 'selection') return wb.elements.filter(el => wb.interaction.selectedElements.includes(el));
+        return wb.elements.slice();
+    }
+
+    /**
+     * @method getExportBounds
+     * @description World-space box enclosing the elements, including stroke widths and arrowheads.
+     */
+    getExportBounds(elements, margin = 0) {
+        const wb = window.flux.whiteboard;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        elements.forEach(el => {
+            const b = wb.getElementBounds(el);
+            let pad = 0;
+            if (el.type === 'line' || el.type === 'pen') pad = (el.strokeWidth || el.width || 3) / 2 * (wb.hasPressure(el) ? wb.config.maxPressureFactor : 1);
+            else if (el.type === 'shape') pad = (el.strokeWidth || 3) / 2;
+
+            minX = Math.min(minX, b.minX - pad); minY = Math.min(minY, b.minY - pad);
+            maxX = Math.max(maxX, b.maxX + pad); maxY = Math.max(maxY, b.maxY + pad);
+
+            if (el.type === 'line') {
+                const heads = [];
+                if (el.arrowStart) heads.push(...wb.getArrowheadPoints(el.p2, el.p1, el.width));
+                if (el.arrowEnd) heads.push(...wb.getArrowheadPoints(el.p1, el.p2, el.width));
+                heads.forEach(p => {
+                    minX = Math.min(minX, p.x); minY = Math.min(minY, p.y);
+                    maxX = Math.max(maxX, p.x); maxY = Math.max(maxY, p.y);
+                });
+            }
+        });
+
+        if (!isFinite(minX)) return null;
+        return { x: minX - margin, y: minY - margin, width: maxX - minX + margin * 2, height: maxY - minY + margin * 2 };
+    }
+
+    getFileBaseName() {
+        const app = window.flux;
+        const board = app.project.boards.find(b => b.id === app.state.activeBoardId);
+        return app.getSafeFileName(`${app.project.name}-${board ? board.name : 'board'}`);
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // --- PNG ---
+
+    /**
+     * @method exportPNG
+     * @description Downloads a raster image of the board, the viewport or the selection.
+     * @param {string} scope - 'board', 'viewport' or 'selection'.
+     * @param {number} multiplier - Pixel density (1x, 2x, 4x).
+     * @param {string} background - 'transparent', 'theme' or 'grid'.
+     */
+    async exportPNG(scope, multiplier, background) {
+        const wb = window.flux.whiteboard;
+        let elements, bounds, scale;
+
+        if (scope === 'viewport') {
+            // What is on screen right now, at screen resolution times the multiplier
+            const topLeft = wb.screenToWorld(0, 0);
+            elements = wb.elements.slice();
+            bounds = { x: topLeft.x, y: topLeft.y, width: window.innerWidth / wb.view.scale, height: window.innerHeight / wb.view.scale };
+            scale = wb.view.scale * multiplier;
+        } else {
+            elements = this.getScopeElements(scope);
+            bounds = this.getExportBounds(elements, scope === 'board' ? this.boardMargin : 0);
+            scale = multiplier;
+        }
+
+        if (!bounds || elements.length === 0) {
+            alert("There is nothing to export on this board.");
+            return;
+        }
+
+        const maxScale = Math.sqrt(this.maxCanvasArea / (bounds.width * bounds.height));
+        if (scale > maxScale) {
+            scale = maxScale;
+            alert(`This area is too large for a ${multiplier}x image: it will be exported at the highest resolution the browser supports.`);
+        }
+
+        const canvas = await wb.renderToCanvas({ elements, bounds, scale, background });
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(b => b ? resolve(b) : reject(new Error("The image could not be encoded.")), 'image/png');
+        });
+
+        const suffix = scope === 'board' ? '' : `-${scope}`;
+        window.flux.downloadBlob(blob, `${this.getFileBaseName()}${suffix}@${multiplier}x.png`);
+    }
+
+    // --- PDF ---
+
+    /**
+     * @method exportPDF
+     * @description Downloads one or all boards as a PDF document.
+     * @param {string} which - 'current' or 'all'.
+     * @param {string} page - 'fit' (one page per board) or a key of `paperSizes` (tiled pages).
+     * @param {number} printScale - Tiled pages only: 1 prints a board unit as one CSS pixel (1/96 inch).
+     */
+    async exportPDF(which, page, printScale) {
+        const app = window.flux;
+        const boards = which === 'all'
+            ? app.project.boards
+            : app.project.boards.filter(b => b.id === app.state.activeBoardId);
+
+        const title = which === 'all' ? app.project.name : `${app.project.name} - ${boards[0].name}`;
+        const pdf = new FluxPdfWriter(title);
+        const images = new Map(); // element -> image resource name (shared by tiles)
+        let pageCount = 0;
+
+        for (const board of boards) {
+            // The active board is read from the canvas so cached renders are reused
+            const elements = board.id === app.state.activeBoardId ? window.flux.whiteboard.elements : board.elements;
+            const bounds = this.getExportBounds(elements, this.boardMargin);
+            if (!bounds) continue;
+
+            const pages = page === 'fit' ? this.getFitPage(bounds) : this.getTiledPages(bounds, this.paperSizes[page], printScale);
+            for (const p of pages) {
+                const content = await this.buildPDFPage(pdf, elements, p, images);
+                pdf.addPage(p.width, p.height, content);
+                pageCount++;
+            }
+        }
+
+        if (pageCount === 0) {
+            alert(which === 'all' ? "There is nothing to export in this project." : "There is nothing to export on this board.");
+            return;
+        }
+
+        const blob = await pdf.build();
+        const fileName = which === 'all' ? app.getSafeFileName(app.project.name) : this.getFileBaseName();
+        app.downloadBlob(blob, `${fileName}.pdf`);
+    }
+
+    /**
+     * @method getFitPage
+     * @description A single page the size of the board content (1 unit = 1 CSS pixel),
+     * shrunk if needed to the 200 inch page limit of PDF viewers.
+     */
+    getFitPage(bounds) {
+        const maxSize = 14400;
+        const scale = Math.min(0.75, maxSize / bounds.width, maxSize / bounds.height);
+        return [{ width: bounds.width * scale, height: bounds.height * scale, area: bounds, scale, margin: 0 }];
+    }
+
+    /**
+     * @method getTiledPages
+     * @description Splits the board content over paper-sized pages, in reading order.
+     * The orientation needing fewer pages is used (portrait on ties).
+     */
+    getTiledPages(bounds, paper, printScale) {
+        const scale = 0.75 * printScale;
+        const layout = (width, height) => {
+            const tileW = (width - this.pageMargin * 2) / scale;
+            const tileH = (height - this.pageMargin * 2) / scale;
+            const cols = Math.ceil(bounds.width / tileW);
+            const rows = Math.ceil(bounds.height / tileH);
+            return { width, height, tileW, tileH, cols, rows, count: cols * rows };
+        };
+
+        const portrait = layout(paper.width, paper.height);
+        const landscape = layout(paper.height, paper.width);
+        const best = landscape.count < portrait.count ? landscape : portrait;
+
+        const pages = [];
+        for (let row = 0; row < best.rows; row++) {
+            for (let col = 0; col < best.cols; col++) {
+                pages.push({
+                    width: best.width,
+                    height: best.height,
+                    area: { x: bounds.x + col * best.tileW, y: bounds.y + row * best.tileH, width: best.tileW, height: best.tileH },
+                    scale,
+                    margin: this.pageMargin
+                });
+            }
+        }
+        return pages;
+    }
+
+    /**
+     * @method buildPDFPage
+     * @description Content stream of one page: the elements intersecting `page.area`,
+     * drawn in world coordinates through a flipped transformation matrix.
+     */
+    async buildPDFPage(pdf, elements, page, images) {
+        const wb = window.flux.whiteboard;
+        const n = (v) => pdf.num(v);
+        const { area, scale, margin } = page;
+        const ops = [];
+
+        // Clip to the printable area, then map world (y down) to PDF space (y up)
+        ops.push('q');
+        ops.push(`${n(margin)} ${n(margin)} ${n(area.width * scale)} ${n(area.height * scale)} re W n`);
+        ops.push(`${n(scale)} 0 0 ${n(-scale)} ${n(margin - area.x * scale)} ${n(page.height - margin + area.y * scale)} cm`);
+
+        for (const el of elements) {
+            const b = wb.getElementBounds(el);
+            const pad = el.type === 'line' || el.type === 'pen' ? (el.strokeWidth || el.width || 3) * 4 + 6 : (el.strokeWidth || 3); // arrowheads, strokes
+            if (b.maxX + pad < area.x || b.minX - pad > area.x + area.width || b.maxY + pad < area.y || b.minY - pad > area.y + area.height) continue;
+
+            if (el.type === 'line' || el.type === 'pen' || el.type === 'shape') {
+                ops.push(this.elementToPDF(pdf, el));
+            } else {
+                if (!images.has(el)) images.set(el, await this.rasterizeForPDF(pdf, el, scale));
+                const name = images.get(el);
+                if (name) ops.push(`q ${n(el.width)} 0 0 ${n(-el.height)} ${n(el.x)} ${n(el.y + el.height)} cm /${name} Do Q`);
+            }
+        }
+
+        ops.push('Q');
+        return ops.join('\n');
+    }
+
+    /**
+     * @method elementToPDF
+     * @description Vector drawing operators of a line, pen stroke or shape (world units).
+     */
+    elementToPDF(pdf, el) {
+        const wb = window.flux.whiteboard;
+        const n = (v) => pdf.num(v);
+        const ops = ['q'];
+
+        const stroke = this.getPDFColor(pdf, el.isAutoColor ? this.printColor : el.color);
+        const fill = el.type === 'shape' ? this.getPDFColor(pdf, el.isAutoFill ? this.printColor : el.fillColor) : null;
+
+        if (el.type === 'line' || el.type === 'pen') {
+            if (!stroke) return '';
+            ops.push(`${n(el.strokeWidth || el.width || 3)} w 1 J 1 j`);
+            if (el.dashStyle === 'dashed') ops.push('[15 10] 0 d');
+            else if (el.dashStyle === 'dotted') ops.push('[2 8] 0 d');
+            ops.push(stroke.alpha, `${stroke.rgb} RG`);
+
+            if (el.type === 'pen') {
+                if (!el.points || el.points.length === 0) return '';
+                // Same smoothed runs as on the canvas (see FluxWhiteboard.getPenRuns)
+                wb.getPenRuns(el).forEach(run => {
+                    ops.push(`${n(run.width)} w ` + run.points.map((p, i) => `${n(p.x)} ${n(p.y)} ${i === 0 ? 'm' : 'l'}`).join(' ') + ' S');
+                });
+            } else {
+                ops.push(`${n(el.p1.x)} ${n(el.p1.y)} m ${n(el.p2.x)} ${n(el.p2.y)} l S`);
+                ops.push(`${stroke.rgb} rg`);
+                const arrow = (from, to) => {
+                    const pts = wb.getArrowheadPoints(from, to, el.width);
+                    ops.push(`${n(pts[0].x)} ${n(pts[0].y)} m ${n(pts[1].x)} ${n(pts[1].y)} l ${n(pts[2].x)} ${n(pts[2].y)} l h f`);
+                };
+                if (el.arrowStart) arrow(el.p2, el.p1);
+                if (el.arrowEnd) arrow(el.p1, el.p2);
+            }
+        } else {
+            if (!stroke && !fill) return '';
+            const path = this.createPDFPathBuilder(pdf);
+            wb.drawShapePath(el.shapeType, el.x, el.y, el.width, el.height, path);
+
+            // Fill and stroke may have different opacities: paint them separately
+            if (fill) ops.push('q', fill.alpha, `${fill.rgb} rg`, path.toString(), 'f Q');
+            if (stroke) ops.push(stroke.alpha, `${n(el.strokeWidth || 3)} w`, `${stroke.rgb} RG`, path.toString(), 'S');
+        }
+
+        ops.push('Q');
+        return ops.join('\n');
+    }
+
+    /**
+     * @method rasterizeForPDF
+     * @description Embeds an image, text or PDF card as a bitmap. JPEG files are passed through;
+     * everything else is drawn at `printDPI` (never above the source resolution for images).
+     * @returns {Promise<?string>} Image resource name, or null when nothing could be drawn.
+     */
+    async rasterizeForPDF(pdf, el, pageScale) {
+        const wb = window.flux.whiteboard;
+        let source, srcWidth = Infinity, srcHeight = Infinity;
+
+        if (el.type === 'image') {
+            const blob = window.flux.assets.get(el.asset);
+            if (!blob) return null;
+            if (blob.type === 'image/jpeg') {
+                const name = pdf.addJpeg(new Uint8Array(await blob.arrayBuffer()));
+                if (name) return name;
+            }
+            source = await this.loadImage(window.flux.assets.getUrl(el.asset)).catch(() => null);
+            if (!source) return null;
+            srcWidth = source.naturalWidth || source.width;
+            srcHeight = source.naturalHeight || source.height;
+        }
+
+        // Pixels per world unit at print resolution, within the canvas size limit
+        let k = pageScale * this.printDPI / 72;
+        k = Math.min(k, srcWidth / el.width, srcHeight / el.height, Math.sqrt(this.maxCanvasArea / (el.width * el.height)));
+        const width = Math.max(1, Math.round(el.width * k));
+        const height = Math.max(1, Math.round(el.height * k));
+
+        if (!source) {
+            // Cards are re-rendered at the target size with print colors (dark on white)
+            const inner = el.type === 'text'
+                ? wb.getMarkdownSVG({ ...el, color: el.isAutoColor ? this.printColor : el.color })
+                : wb.getPDFCardSVG(el, true);
+            const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${el.width} ${el.height}">${inner.trim()}</svg>`;
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+            source = await this.loadImage(url).catch(() => null);
+            URL.revokeObjectURL(url);
+            if (!source) return null;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, width, height);
+        return pdf.addImage(width, height, ctx.getImageData(0, 0, width, height).data);
+    }
+
+    /**
+     * @method getPDFColor
+     * @description Converts a CSS color to PDF operands: { rgb: 'r g b', alpha: graphics state op }.
+     * @returns {?Object} null for transparent colors.
+     */
+    getPDFColor(pdf, color) {
+        if (!color || color === 'transparent') return null;
+
+        // Let the browser normalize any CSS color to #rrggbb or rgba()
+        if (!this.colorContext) this.colorContext = document.createElement('canvas').getContext('2d');
+        this.colorContext.fillStyle = '#000000';
+        this.colorContext.fillStyle = color;
+        const value = String(this.colorContext.fillStyle);
+
+        let r = 0, g = 0, b = 0, a = 1;
+        const hex = value.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+        const rgba = value.match(/^rgba?\(([^)]+)\)$/);
+        if (hex) {
+            [r, g, b] = hex.slice(1).map(h => parseInt(h, 16));
+        } else if (rgba) {
+            [r, g, b, a = 1] = rgba[1].split(',').map(parseFloat);
+        }
+        if (a <= 0) return null;
+
+        const c = (v) => pdf.num(v / 255);
+        return { rgb: `${c(r)} ${c(g)} ${c(b)}`, alpha: `/${pdf.getAlphaState(a)} gs` };
+    }
+
+    /**
+     * @method createPDFPathBuilder
+     * @description PDF counterpart of `createSVGPathBuilder` (ellipses become Bézier curves).
+     */
+    createPDFPathBuilder(pdf) {
+        const d = [];
+        const n = (v) => pdf.num(v);
+        return {
+            moveTo: (x, y) => d.push(`${n(x)} ${n(y)} m`),
+            lineTo: (x, y) => d.push(`${n(x)} ${n(y)} l`),
+            closePath: () => d.push('h'),
+            rect: (x, y, w, h) => d.push(`${n(x)} ${n(y)} ${n(w)} ${n(h)} re`),
+            ellipse: (cx, cy, rx, ry) => {
+                const kx = rx * 0.5523, ky = ry * 0.5523;
+                d.push(`${n(cx + rx)} ${n(cy)} m`);
+                d.push(`${n(cx + rx)} ${n(cy + ky)} ${n(cx + kx)} ${n(cy + ry)} ${n(cx)} ${n(cy + ry)} c`);
+                d.push(`${n(cx - kx)} ${n(cy + ry)} ${n(cx - rx)} ${n(cy + ky)} ${n(cx - rx)} ${n(cy)} c`);
+                d.push(`${n(cx - rx)} ${n(cy - ky)} ${n(cx - kx)} ${n(cy - ry)} ${n(cx)} ${n(cy - ry)} c`);
+                d.push(`${n(cx + kx)} ${n(cy - ry)} ${n(cx + rx)} ${n(cy - ky)} ${n(cx + rx)} ${n(cy)} c h`);
+            },
+            toString: () => d.join(' ')
+        };
+    }
+
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error("Image could not be loaded."));
+            img.src = url;
+        });
+    }
+
+    // --- MARKDOWN ---
+
+    /**
+     * @method exportMarkdown
+     * @description Downloads a ZIP with one Markdown file per board.
+     * Text elements are written as is (their `$...$` / `$$...$$` LaTeX is understood by
+     * Obsidian and most editors), images and PDFs become links to the bundled files.
+     * @param {string} which - 'current' or 'all'.
+     */
+    async exportMarkdown(which) {
+        const app = window.flux;
+        if (!window.JSZip) throw new Error("JSZip library not loaded.");
+
+        const boards = which === 'all'
+            ? app.project.boards
+            : app.project.boards.filter(b => b.id === app.state.activeBoardId);
+
+        const zip = new JSZip();
+        const usedNames = new Set();
+        const attachments = new Map(); // asset hash -> path inside the bundle
+        let noteCount = 0;
+
+        const getUniqueName = (base, ext) => {
+            let name = `${base}${ext}`;
+            for (let i = 2; usedNames.has(name.toLowerCase()); i++) name = `${base} (${i})${ext}`;
+            usedNames.add(name.toLowerCase());
+            return name;
+        };
+
+        const addAttachment = (el) => {
+            if (attachments.has(el.asset)) return attachments.get(el.asset);
+            const blob = app.assets.get(el.asset);
+            if (!blob) return null;
+
+            // Images keep their content-hash name (deduplicated), PDFs their original file name
+            let path;
+            if (el.type === 'image') {
+                path = `images/${app.assets.getFileName(el.asset)}`;
+            } else {
+                const fileName = this.getMarkdownFileName(el.name || 'document.pdf');
+                const dot = fileName.toLowerCase().endsWith('.pdf') ? fileName.length - 4 : fileName.length;
+                path = `attachments/${getUniqueName(fileName.slice(0, dot), '.pdf')}`;
+            }
+            zip.file(path, blob);
+            attachments.set(el.asset, path);
+            return path;
+        };
+
+        for (const board of boards) {
+            const blocks = [];
+            for (const el of this.getReadingOrder(board.elements)) {
+                if (el.type === 'text') {
+                    if (el.content.trim()) blocks.push(el.content.trim());
+                } else if (el.type === 'image' || el.type === 'pdf') {
+                    const path = addAttachment(el);
+                    if (!path) continue;
+                    const link = encodeURI(path);
+                    blocks.push(el.type === 'image' ? `![](${link})` : `[${this.escapeMarkdown(el.name || 'PDF')}](${link})`);
+                }
+            }
+            noteCount += blocks.length;
+
+            const fileName = getUniqueName(this.getMarkdownFileName(board.name), '.md');
+            zip.file(fileName, [`# ${board.name}`, ...blocks].join('\n\n') + '\n');
+        }
+
+        if (noteCount === 0) {
+            alert(which === 'all' ? "There are no notes to export in this project." : "There are no notes to export on this board.");
+            return;
+        }
+
+        const content = await zip.generateAsync({ type: "blob" });
+        const fileName = which === 'all' ? app.getSafeFileName(app.project.name) : this.getFileBaseName();
+        app.downloadBlob(content, `${fileName}-markdown.zip`);
+    }
+
+    /**
+     * @method getReadingOrder
+     * @description Text, image and PDF elements sorted top-to-bottom, then left-to-right.
+     */
+    getReadingOrder(elements) {
+        return elements
+            .filter(el => el.type === 'text' || el.type === 'image' || el.type === 'pdf')
+            .sort((a, b) => (a.y - b.y) || (a.x - b.x));
+    }
+
+    /**
+     * @method getMarkdownFileName
+     * @description Keeps a readable name (unlike `getSafeFileName`) but strips characters
+     * that are invalid in file names or break links in Markdown editors.
+     */
+    getMarkdownFileName(name) {
+        const clean = String(name).replace(/[\\/:*?"<>|#^[\]]/g, '-').replace(/\s+/g, ' ').trim();
+        return clean || 'Untitled';
+    }
+
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\\[\]])/g, '\\$1');
+    }
+
+    // --- JSON CANVAS ---
+
+    /**
+     * @method exportCanvas
+     * @description Downloads the active board as a `.canvas` file. Boards with images or PDFs
+     * are downloaded as a ZIP holding the canvas and an `assets/` folder referenced by its file nodes.
+     */
+    async exportCanvas() {
+        const app = window.flux;
+        const elements = window.flux.whiteboard.elements;
+        if (elements.length === 0) {
+            alert("There is nothing to export on this board.");
+            return;
+        }
+
+        const { canvas, assets, skipped } = app.jsonCanvas.fromBoard(elements);
+        const json = JSON.stringify(canvas, null, '\t');
+
+        // Obsidian shows file names: keep the board name readable
+        const board = app.project.boards.find(b => b.id === app.state.activeBoardId);
+        const baseName = this.getMarkdownFileName(board ? board.name : 'Board');
+
+        if (assets.length === 0) {
+            app.downloadBlob(new Blob([json], { type: 'application/json' }), `${baseName}.canvas`);
+        } else {
+            if (!window.JSZip) throw new Error("JSZip library not loaded.");
+            const zip = new JSZip();
+            zip.file(`${baseName}.canvas`, json);
+            assets.forEach(hash => zip.file(`assets/${app.assets.getFileName(hash)}`, app.assets.get(hash)));
+            app.downloadBlob(await zip.generateAsync({ type: "blob" }), `${baseName}.canvas.zip`);
+        }
+
+        if (skipped > 0) {
+            alert(`${skipped} element(s) have no JSON Canvas equivalent and were left out (pen strokes, lines not connecting two elements).`);
+        }
+    }
+
+    // --- SVG ---
+
+    /**
+     * @method exportSVG
+     * @description Downloads the board (or the selection) as a standalone SVG file.
+     */
+    async exportSVG(scope) {
+        const elements = this.getScopeElements(scope);
+        const bounds = this.getExportBounds(elements, scope === 'board' ? this.boardMargin : 0);
+        if (!bounds) {
+            alert("There is nothing to export on this board.");
+            return;
+        }
+
+        const svg = await this.buildSVG(elements, bounds);
+        const suffix = scope === 'selection' ? '-selection' : '';
+        window.flux.downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), `${this.getFileBaseName()}${suffix}.svg`);
+    }
+
+    /**
+     * @method buildSVG
+     * @description Serializes elements to SVG markup. Coordinates stay in world units;
+     * the viewBox crops the document to `bounds`.
+     */
+    async buildSVG(elements, bounds) {
+        const parts = [];
+        for (const el of elements) {
+            const markup = await this.elementToSVG(el);
+            if (markup) parts.push(markup);
+        }
+
+        const f = (n) => +n.toFixed(2);
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${f(bounds.width)}" height="${f(bounds.height)}" viewBox="${f(bounds.x)} ${f(bounds.y)} ${f(bounds.width)} ${f(bounds.height)}">
+${parts.join('\n')}
+</svg>`;
+    }
+
+    async elementToSVG(el) {
+        const wb = window.flux.whiteboard;
+        const f = (n) => +n.toFixed(2);
+        const esc = (v) => wb.escapeXML(v);
+        // The document has no background: theme colors are printed dark, as in PDFs
+        const color = el.isAutoColor ? this.printColor : el.color;
+        const fillColor = el.isAutoFill ? this.printColor : el.fillColor;
+
+        if (el.type === 'line' || el.type === 'pen') {
+            const width = el.strokeWidth || el.width || 3;
+            let dash = '';
+            if (el.dashStyle === 'dashed') dash = ' stroke-dasharray="15 10"';
+            else if (el.dashStyle === 'dotted') dash = ' stroke-dasharray="2 8"';
+            const strokeWidth = (w) => `fill="none" stroke="${esc(color)}" stroke-width="${f(w)}" stroke-linecap="round" stroke-linejoin="round"${dash}`;
+            const stroke = strokeWidth(width);
+
+            if (el.type === 'pen') {
+                if (!el.points || el.points.length === 0) return '';
+                // Same smoothed runs as on the canvas (see FluxWhiteboard.getPenRuns)
+                return wb.getPenRuns(el).map(run => {
+                    const d = run.points.map((p, i) => `${i === 0 ? 'M' : 'L'}${f(p.x)} ${f(p.y)}`).join('');
+                    return `<path d="${d}" ${strokeWidth(run.width)}/>`;
+                }).join('');
+            }
+
+            let markup = `<line x1="${f(el.p1.x)}" y1="${f(el.p1.y)}" x2="${f(el.p2.x)}" y2="${f(el.p2.y)}" ${stroke}/>`;
+            const arrow = (from, to) => {
+                const pts = wb.getArrowheadPoints(from, to, el.width).map(p => `${f(p.x)},${f(p.y)}`).join(' ');
+                return `<polygon points="${pts}" fill="${esc(color)}"/>`;
+            };
+            if (el.arrowStart) markup += arrow(el.p2, el.p1);
+            if (el.arrowEnd) markup += arrow(el.p1, el.p2);
+            return markup;
+        }
+
+        if (el.type === 'shape') {
+            const path = this.createSVGPathBuilder();
+            wb.drawShapePath(el.shapeType, el.x, el.y, el.width, el.height, path);
+            const fill = fillColor && fillColor !== 'transparent' ? esc(fillColor) : 'none';
+            const stroke = color && color !== 'transparent' ? `stroke="${esc(color)}" stroke-width="${f(el.strokeWidth || 3)}" stroke-linejoin="round"` : 'stroke="none"';
+            return `<path d="${path.toString()}" fill="${fill}" ${stroke}/>`;
+        }
+
+        if (el.type === 'image') {
+            const blob = window.flux.assets.get(el.asset);
+            if (!blob) return '';
+            const href = await this.blobToDataUrl(blob);
+            return `<image x="${f(el.x)}" y="${f(el.y)}" width="${f(el.width)}" height="${f(el.height)}" preserveAspectRatio="none" href="${href}" xlink:href="${href}"/>`;
+        }
+
+        // Text and PDF cards reuse the foreignObject documents rendered on canvas
+        if (el.type === 'text' || el.type === 'pdf') {
+            const inner = el.type === 'text' ? wb.getMarkdownSVG({ ...el, color }) : wb.getPDFCardSVG(el);
+            return `<g transform="translate(${f(el.x)} ${f(el.y)})">${inner.trim()}</g>`;
+        }
+
+        return '';
+    }
+
+    /**
+     * @method createSVGPathBuilder
+     * @description Minimal CanvasRenderingContext2D-like path API producing SVG path data,
+     * so `FluxWhiteboard.drawShapePath` can be reused for vector output.
+     */
+    createSVGPathBuilder() {
+        const d = [];
+        const f = (n) => +n.toFixed(2);
+        return {
+            moveTo: (x, y) => d.push(`M${f(x)} ${f(y)}`),
+            lineTo: (x, y) => d.push(`L${f(x)} ${f(y)}`),
+            closePath: () => d.push('Z'),
+            rect: (x, y, w, h) => d.push(`M${f(x)} ${f(y)}h${f(w)}v${f(h)}h${f(-w)}Z`),
+            ellipse: (cx, cy, rx, ry) => d.push(`M${f(cx - rx)} ${f(cy)}a${f(rx)} ${f(ry)} 0 1 0 ${f(rx * 2)} 0a${f(rx)} ${f(ry)} 0 1 0 ${f(-rx * 2)} 0Z`),
+            toString: () => d.join('')
+        };
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * @class FluxJsonCanvas
+ * @description Converts boards to and from JSON Canvas (`.canvas`, https://jsoncanvas.org), the open format used by Obsidian.
+ * Mapping:
+ * - text <-> text node
+ * - image / pdf <-> file node (files live in `assets/<hash>.<ext>`, as in project archives)
+ * - shape <-> group node (group labels become text elements)
+ * - line whose ends touch two nodes <-> edge (arrowheads, color; edge labels become text elements)
+ * Pen strokes and free lines have no equivalent and are left out of exports.
+ */
+class FluxJsonCanvas {
+    constructor() {
+        // Obsidian's palette for the preset colors "1" to "6"
+        this.presetColors = {
+            1: '#fb464c', // red
+            2: '#e9973f', // orange
+            3: '#e0de71', // yellow
+            4: '#44cf6e', // green
+            5: '#53dfdd', // cyan
+            6: '#a882ff'  // purple
+        };
+
+        // How far (world units) a line end may be from a node to be attached to it
+        this.edgeTolerance = 20;
+    }
+
+    /**
+     * @method isCanvas
+     * @description JSON Canvas documents have a `nodes` array (and optionally `edges`).
+     */
+    isCanvas(data) {
+        return !!data && typeof data === 'object' && !Array.isArray(data.boards) &&
+            Array.isArray(data.nodes) && (data.edges === undefined || Array.isArray(data.edges));
+    }
+
+    // --- EXPORT ---
+
+    /**
+     * @method fromBoard
+     * @param {Array<Object>} elements - Board elements.
+     * @returns {Object} { canvas, assets: string[] (hashes of the referenced files), skipped: number }
+     */
+    fromBoard(elements) {
+        const app = window.flux;
+        const nodes = [];
+        const edges = [];
+        const usedAssets = new Set();
+        let skipped = 0;
+
+        // Node candidates for edges, topmost first
+        const nodeElements = elements.filter(el => ['text', 'image', 'pdf', 'shape'].includes(el.type)).reverse();
+
+        elements.forEach(el => {
+            const id = String(el.id);
+            const box = { x: Math.round(el.x), y: Math.round(el.y), width: Math.round(el.width), height: Math.round(el.height) };
+            const color = el.isAutoColor ? null : this.toCanvasColor(el.color);
+
+            if (el.type === 'text') {
+                nodes.push({ id, type: 'text', ...box, text: el.content, ...(color && { color }) });
+            }
+            else if (el.type === 'image' || el.type === 'pdf') {
+                if (!app.assets.has(el.asset)) { skipped++; return; }
+                usedAssets.add(el.asset);
+                nodes.push({ id, type: 'file', ...box, file: `assets/${app.assets.getFileName(el.asset)}` });
+            }
+            else if (el.type === 'shape') {
+                nodes.push({ id, type: 'group', ...box, ...(color && { color }) });
+            }
+            else if (el.type === 'line') {
+                const from = this.findNodeAt(el.p1, nodeElements);
+                const to = this.findNodeAt(el.p2, nodeElements);
+                if (!from || !to || from === to) { skipped++; return; }
+                edges.push({
+                    id: `edge-${id}`,
+                    fromNode: String(from.id),
+                    fromSide: this.getNearestSide(el.p1, from),
+                    fromEnd: el.arrowStart ? 'arrow' : 'none',
+                    toNode: String(to.id),
+                    toSide: this.getNearestSide(el.p2, to),
+                    toEnd: el.arrowEnd ? 'arrow' : 'none',
+                    ...(color && { color })
+                });
+            }
+            else {
+                skipped++;
+            }
+        });
+
+        return { canvas: { nodes, edges }, assets: Array.from(usedAssets), skipped };
+    }
+
+    findNodeAt(p, nodeElements) {
+        const t = this.edgeTolerance;
+        return nodeElements.find(el => p.x >= el.x - t && p.x <= el.x + el.width + t && p.y >= el.y - t && p.y <= el.y + el.height + t);
+    }
+
+    getNearestSide(p, el) {
+        const distances = {
+            left: Math.abs(p.x - el.x),
+            right: Math.abs(p.x - (el.x + el.width)),
+            top: Math.abs(p.y - el.y),
+            bottom: Math.abs(p.y - (el.y + el.height))
+        };
+        return Object.keys(distances).reduce((a, b) => distances[b] < distances[a] ? b : a);
+    }
+
+    toCanvasColor(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color));
+        if (!hex) return null;
+        const value = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+        return `#${value.toLowerCase()}`;
+    }
+
+    // --- IMPORT ---
+
+    /**
+     * @method convert
+     * @param {Object} canvas - Parsed JSON Canvas document.
+     * @param {Object} options - { name, assets: FluxAssetStore, defaultColor }
+     * @returns {Promise<Object>} { project, report: { converted, skipped: Map<string, number> } }
+     */
+    async convert(canvas, { name, assets, defaultColor }) {
+        const usedIds = new Set();
+        const newId = () => window.flux.schema.generateId(usedIds);
+        const report = { converted: 0, skipped: new Map() };
+        const skip = (reason) => report.skipped.set(reason, (report.skipped.get(reason) || 0) + 1);
+
+        const colorOf = (node) => {
+            const color = this.fromCanvasColor(node.color);
+            return color ? { color, isAutoColor: false } : { color: defaultColor, isAutoColor: true };
+        };
+        const text = (content, x, y, width, height, node) => ({
+            id: newId(), type: 'text', content, x, y, width, height, ...colorOf(node), fontSize: 16, renderedImage: null
+        });
+
+        const nodes = canvas.nodes.filter(n => n && typeof n === 'object' &&
+            [n.x, n.y, n.width, n.height].every(v => typeof v === 'number' && isFinite(v)));
+        if (nodes.length < canvas.nodes.length) report.skipped.set('node (invalid position or size)', canvas.nodes.length - nodes.length);
+
+        // Groups are containers: draw them behind the other nodes
+        const ordered = nodes.filter(n => n.type === 'group').concat(nodes.filter(n => n.type !== 'group'));
+        const elements = [];
+        const boxes = new Map(); // node id -> box (for edges)
+
+        for (const node of ordered) {
+            const box = { x: node.x, y: node.y, width: Math.max(1, node.width), height: Math.max(1, node.height) };
+
+            if (node.type === 'text') {
+                elements.push(text(String(node.text || ''), box.x, box.y, box.width, box.height, node));
+            }
+            else if (node.type === 'group') {
+                const { color, isAutoColor } = colorOf(node);
+                elements.push({ id: newId(), type: 'shape', shapeType: 'rect', ...box, color, fillColor: 'transparent', isAutoColor, isAutoFill: false, strokeWidth: 3, dashStyle: 'solid' });
+                if (node.label) elements.push(text(this.escapeMarkdown(node.label), box.x, box.y - 40, box.width, 40, node));
+            }
+            else if (node.type === 'link') {
+                elements.push(text(`[${this.escapeMarkdown(node.url || '')}](${node.url || ''})`, box.x, box.y, box.width, box.height, node));
+            }
+            else if (node.type === 'file') {
+                const el = await this.convertFileNode(node, box, assets);
+                if (el) {
+                    el.id = newId();
+                    elements.push(el);
+                } else {
+                    // Keep a visible reference to the file that is not in the bundle
+                    elements.push(text(`\`${String(node.file || '')}\``, box.x, box.y, box.width, box.height, node));
+                    skip('file (not included, kept as its path)');
+                }
+            }
+            else {
+                skip(`${node.type || 'unknown'} node`);
+                continue;
+            }
+            boxes.set(node.id, box);
+            report.converted++;
+        }
+
+        (canvas.edges || []).forEach(edge => {
+            const from = edge && boxes.get(edge.fromNode);
+            const to = edge && boxes.get(edge.toNode);
+            if (!from || !to) { skip('edge (missing node)'); return; }
+
+            const p1 = this.getSidePoint(from, edge.fromSide, to);
+            const p2 = this.getSidePoint(to, edge.toSide, from);
+            const { color, isAutoColor } = colorOf(edge);
+            elements.push({
+                id: newId(), type: 'line', p1, p2, color, isAutoColor, width: 3, dashStyle: 'solid',
+                arrowStart: edge.fromEnd === 'arrow',
+                arrowEnd: (edge.toEnd || 'arrow') === 'arrow'
+            });
+            if (edge.label) {
+                elements.push(text(this.escapeMarkdown(edge.label), (p1.x + p2.x) / 2 - 100, (p1.y + p2.y) / 2 - 20, 200, 40, edge));
+            }
+            report.converted++;
+        });
+
+        const board = { id: newId(), name, elements, view: window.flux.whiteboard.getCenteredView(elements) };
+        return { project: { name, schemaVersion: window.flux.schema.version, boards: [board] }, report };
+    }
+
+    /**
+     * @method convertFileNode
+     * @description Image or PDF element for a file node whose file was loaded with the canvas
+     * (`assets/<hash>.<ext>` entries of a bundle). Returns null otherwise.
+     */
+    async convertFileNode(node, box, assets) {
+        const match = /(?:^|\/)([0-9a-f]{64})\.(\w+)$/i.exec(String(node.file || ''));
+        if (!match || !assets.has(match[1])) return null;
+
+        const hash = match[1];
+        const type = assets.get(hash).type;
+        if (type === 'application/pdf') {
+            return { type: 'pdf', name: "PDF Document", asset: hash, ...box, renderedImage: null, annotations: [] };
+        }
+        if (type.startsWith('image/')) return { type: 'image', asset: hash, ...box, imgObj: null };
+        return null;
+    }
+
+    fromCanvasColor(color) {
+        if (this.presetColors[color]) return this.presetColors[color];
+        return this.toCanvasColor(color);
+    }
+
+    /**
+     * @method getSidePoint
+     * @description Middle of a box side. Without a side, the one facing `other` is used.
+     */
+    getSidePoint(box, side, other) {
+        if (!['top', 'right', 'bottom', 'left'].includes(side)) {
+            const dx = (other.x + other.width / 2) - (box.x + box.width / 2);
+            const dy = (other.y + other.height / 2) - (box.y + box.height / 2);
+            side = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'bottom' : 'top');
+        }
+        const cx = box.x + box.width / 2, cy = box.y + box.height / 2;
+        if (side === 'top') return { x: cx, y: box.y };
+        if (side === 'bottom') return { x: cx, y: box.y + box.height };
+        if (side === 'left') return { x: box.x, y: cy };
+        return { x: box.x + box.width, y: cy };
+    }
+
+    /**
+     * @method escapeMarkdown
+     * @description Shows plain text literally. `$` becomes an entity: marked would turn `\$` back
+     * into a `$` the math pass then picks up.
+     */
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]<>|~#])/g, '\\$1').replace(/\$/g, '&#36;');
+    }
+
+    /**
+     * @method formatReport
+     * @description Human readable summary, or null when everything was converted.
+     */
+    formatReport(report) {
+        if (report.skipped.size === 0) return null;
+        const lines = [`Imported ${report.converted} canvas item(s).`, "", "These items could not be converted:"];
+        report.skipped.forEach((count, type) => lines.push(`- ${count} × ${type}`));
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,334 @@
+/**
+ * @class FluxLinks
+ * @description Wiki-style links between boards, written in the Markdown of text elements.
+ * Syntax:
+ * - `[[Board Name]]` opens a board
+ * - `[[Board Name#123]]` opens a board and zooms to the element with id 123
+ * - `[[#123]]` zooms to an element of the same board
+ * - `[[target|label]]` shows `label` instead of the target
+ * Followed links are recorded in a back/forward stack, like a browser.
+ */
+class FluxLinks {
+    constructor() {
+        this.dom = {
+            nav: document.getElementById('link-nav'),
+            btnBack: document.getElementById('btn-link-back'),
+            btnForward: document.getElementById('btn-link-forward')
+        };
+
+        // { boardId, view } of the places left through links
+        this.backStack = [];
+        this.forwardStack = [];
+        this.maxDepth = 50;
+
+        // A link, or a code span/block (group 1) in which links are not parsed
+        this.pattern = /(```[\s\S]*?```|`[^`\n]*`)|\[\[([^\[\]\n]+?)\]\]/g;
+
+        // Part of the viewport a linked element may fill when zooming to it
+        this.focusRatio = 0.6;
+
+        this.bindEvents();
+        this.syncButtons();
+    }
+
+    bindEvents() {
+        this.dom.btnBack.addEventListener('click', () => this.back());
+        this.dom.btnForward.addEventListener('click', () => this.forward());
+    }
+
+    // --- SYNTAX ---
+
+    /**
+     * @method toHTML
+     * @description Replaces the links of Markdown content by anchors (before it is given to `marked`).
+     * Code spans and blocks are left as they are.
+     */
+    toHTML(markdown) {
+        return String(markdown).replace(this.pattern, (match, code, inner) => {
+            if (code) return code;
+            const { target, label } = this.split(inner);
+            return `<a class="flux-link" data-link="${this.escape(target)}">${this.escape(label)}</a>`;
+        });
+    }
+
+    split(inner) {
+        const pipe = inner.indexOf('|');
+        const target = (pipe > -1 ? inner.slice(0, pipe) : inner).trim();
+        const label = pipe > -1 ? inner.slice(pipe + 1).trim() : target;
+        return { target, label: label || target };
+    }
+
+    /**
+     * @method parse
+     * @description Element ids have no spaces, so a board named "C# Notes" is not read as an element link.
+     * @returns {Object} { boardName (null = current board), elementId (null = whole board) }
+     */
+    parse(target) {
+        const match = /^(.*)#([\w.-]+)$/.exec(target);
+        if (!match) return { boardName: target, elementId: null };
+        return { boardName: match[1].trim() || null, elementId: match[2] };
+    }
+
+    format(boardName, elementId = null) {
+        return `[[${boardName}${elementId !== null ? `#${elementId}` : ''}]]`;
+    }
+
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // --- NAVIGATION ---
+
+    /**
+     * @method follow
+     * @description Opens the target of a link and remembers the current place for "Back".
+     */
+    follow(target) {
+        const app = window.flux;
+        const findBoard = (name) => app.project.boards.find(b => b.name.toLowerCase() === name.toLowerCase());
+
+        // A board whose name looks like an element link ("Topic#2") wins
+        const { boardName, elementId } = findBoard(target) ? { boardName: target, elementId: null } : this.parse(target);
+        const board = boardName === null ? app.project.boards.find(b => b.id === app.state.activeBoardId) : findBoard(boardName);
+
+        if (!board) {
+            alert(`There is no board named "${boardName}" in this project.`);
+            return;
+        }
+
+        this.push(this.backStack, this.getLocation());
+        this.forwardStack = [];
+        if (board.id !== app.state.activeBoardId) app.switchToBoard(board.id);
+
+        if (elementId !== null) {
+            const el = app.whiteboard.elements.find(e => String(e.id) === elementId);
+            if (el) this.focusElement(el);
+            else alert(`The linked element is no longer on "${board.name}".`);
+        }
+        this.syncButtons();
+    }
+
+    back() {
+        this.travel(this.backStack, this.forwardStack);
+    }
+
+    forward() {
+        this.travel(this.forwardStack, this.backStack);
+    }
+
+    /**
+     * @method travel
+     * @description Goes to the last place of `from` (skipping deleted boards), remembering the current one in `to`.
+     */
+    travel(from, to) {
+        const app = window.flux;
+        while (from.length > 0) {
+            const location = from.pop();
+            const board = app.project.boards.find(b => b.id === location.boardId);
+            if (!board) continue;
+
+            this.push(to, this.getLocation());
+            if (board.id !== app.state.activeBoardId) app.switchToBoard(board.id);
+            app.whiteboard.view = { ...location.view };
+            app.whiteboard.render();
+            break;
+        }
+        this.syncButtons();
+    }
+
+    getLocation() {
+        const app = window.flux;
+        return { boardId: app.state.activeBoardId, view: { ...app.whiteboard.view } };
+    }
+
+    push(stack, location) {
+        stack.push(location);
+        if (stack.length > this.maxDepth) stack.shift();
+    }
+
+    /**
+     * @method focusElement
+     * @description Centers an element and zooms so it fills part of the screen (never above 100%), then selects it.
+     */
+    focusElement(el) {
+        const app = window.flux;
+        const wb = app.whiteboard;
+        const b = wb.getElementBounds(el);
+        const viewport = wb.getViewportSize();
+        const width = Math.max(b.maxX - b.minX, 1);
+        const height = Math.max(b.maxY - b.minY, 1);
+
+        const fit = Math.min(viewport.width * this.focusRatio / width, viewport.height * this.focusRatio / height, 1);
+        const scale = Math.min(Math.max(fit, wb.config.minScale), wb.config.maxScale);
+        wb.view = {
+            offsetX: viewport.width / 2 - (b.minX + b.maxX) / 2 * scale,
+            offsetY: viewport.height / 2 - (b.minY + b.maxY) / 2 * scale,
+            scale
+        };
+        if (app.state.activeTool === 'select') wb.interaction.selectedElements = [el];
+        wb.render();
+        app.updateEditBar();
+    }
+
+    clear() {
+        this.backStack = [];
+        this.forwardStack = [];
+        this.syncButtons();
+    }
+
+    syncButtons() {
+        this.dom.btnBack.disabled = this.backStack.length === 0;
+        this.dom.btnForward.disabled = this.forwardStack.length === 0;
+        this.dom.nav.classList.toggle('hidden', this.backStack.length === 0 && this.forwardStack.length === 0);
+    }
+
+    // --- EDITING ---
+
+    /**
+     * @method copyLink
+     * @description Puts the link to an element of the active board on the clipboard.
+     */
+    async copyLink(el) {
+        const app = window.flux;
+        const board = app.project.boards.find(b => b.id === app.state.activeBoardId);
+        if (!board) return;
+
+        const link = this.format(board.name, el.id);
+        try {
+            await navigator.clipboard.writeText(link);
+            alert(`Link copied: ${link}\nPaste it in a text element to jump here.`);
+        } catch (e) {
+            prompt("Copy this link and paste it in a text element:", link);
+        }
+    }
+
+    /**
+     * @method renameBoard
+     * @description Updates the links pointing to a board after it was renamed.
+     * @returns {number} Number of text elements changed.
+     */
+    renameBoard(oldName, newName) {
+        const old = oldName.toLowerCase();
+        return this.rewriteLinks((target) => {
+            const { boardName, elementId } = target.toLowerCase() === old ? { boardName: target, elementId: null } : this.parse(target);
+            if (boardName === null || boardName.toLowerCase() !== old) return null;
+            return `${newName}${elementId !== null ? `#${elementId}` : ''}`;
+        });
+    }
+
+    /**
+     * @method renameDuplicateBoard
+     * @description Updates the links after a board that had the name of an earlier board was renamed.
+     * Links by name opened the earlier board and still do; element links follow the renamed board
+     * when their element is only on it.
+     * @param {Object} project - The project of the board (may not be open yet).
+     * @returns {number} Number of text elements changed.
+     */
+    renameDuplicateBoard(project, board, oldName) {
+        const old = oldName.toLowerCase();
+        const earlier = project.boards.find(b => b !== board && b.name.toLowerCase() === old);
+        const hasElement = (b, id) => b.elements.some(el => String(el.id) === id);
+
+        return this.rewriteLinks((target) => {
+            if (project.boards.some(b => b.name.toLowerCase() === target.toLowerCase())) return null;
+            const { boardName, elementId } = this.parse(target);
+            if (boardName === null || elementId === null || boardName.toLowerCase() !== old) return null;
+            if ((earlier && hasElement(earlier, elementId)) || !hasElement(board, elementId)) return null;
+            return `${board.name}#${elementId}`;
+        }, project);
+    }
+
+    /**
+     * @method moveElements
+     * @description Updates the links after elements were moved to another board.
+     * @param {Map} idMap - String of each moved element's old id -> its id on `toBoard`.
+     * @returns {number} Number of text elements changed.
+     */
+    moveElements(fromBoard, toBoard, idMap) {
+        const app = window.flux;
+        const fromName = fromBoard.name.toLowerCase();
+        const movedIds = new Set([...idMap.values()].map(String));
+
+        return this.rewriteLinks((target, board, el) => {
+            if (app.project.boards.some(b => b.name.toLowerCase() === target.toLowerCase())) return null;
+            const { boardName, elementId } = this.parse(target);
+            if (elementId === null) return null;
+
+            // `[[#id]]` in a moved text still means an element of the board it comes from
+            const isMovedText = board === toBoard && movedIds.has(String(el.id));
+            const linkedBoard = boardName !== null ? boardName.toLowerCase() : (isMovedText ? fromName : board.name.toLowerCase());
+            if (linkedBoard !== fromName) return null;
+
+            if (!idMap.has(elementId)) return isMovedText && boardName === null ? `${fromBoard.name}#${elementId}` : null;
+            return board === toBoard ? `#${idMap.get(elementId)}` : `${toBoard.name}#${idMap.get(elementId)}`;
+        });
+    }
+
+    /**
+     * @method remapBoards
+     * @description Updates the links inside boards added to the project (imported, restored from the
+     * trash) after they were renamed and their elements given new ids. Links to other boards are
+     * left as they are.
+     * @param {Array} boards - The added boards.
+     * @param {Map} nameMap - Previous name (lowercase) of each added board -> its name now.
+     * @param {Map} idMap - String of each changed element id -> its new id.
+     * @returns {number} Number of text elements changed.
+     */
+    remapBoards(boards, nameMap, idMap) {
+        return this.rewriteLinks((target, board) => {
+            if (!boards.includes(board)) return null;
+            const { boardName, elementId } = nameMap.has(target.toLowerCase()) ? { boardName: target, elementId: null } : this.parse(target);
+            if (boardName !== null && !nameMap.has(boardName.toLowerCase())) return null;
+
+            const name = boardName !== null ? nameMap.get(boardName.toLowerCase()) : '';
+            const id = elementId !== null && idMap.has(elementId) ? idMap.get(elementId) : elementId;
+            const rewritten = `${name}${id !== null ? `#${id}` : ''}`;
+            return rewritten === target ? null : rewritten;
+        });
+    }
+
+    /**
+     * @method rewriteLinks
+     * @description Changes the link targets in the text elements of every board.
+     * @param {Function} rewrite - (target, board, element) => new target, or null to leave the link as it is.
+     * @param {Object} [project] - Defaults to the open project.
+     * @returns {number} Number of text elements changed.
+     */
+    rewriteLinks(rewrite, project = window.flux.project) {
+        const app = window.flux;
+        let changed = 0;
+
+        const getContent = (el, board) => {
+            if (el.type !== 'text' || !el.content.includes('[[')) return null;
+            const content = el.content.replace(this.pattern, (match, code, inner) => {
+                if (code) return code;
+                const { target, label } = this.split(inner);
+                const rewritten = rewrite(target, board, el);
+                if (rewritten === null) return match;
+                // Labels that only repeated the target follow it
+                return label === target ? `[[${rewritten}]]` : `[[${rewritten}|${label}]]`;
+            });
+            if (content === el.content) return null;
+            changed++;
+            return content;
+        };
+
+        project.boards.forEach(board => {
+            if (project === app.project && board.id === app.state.activeBoardId && app.whiteboard) {
+                // The whiteboard holds the live elements of the active board
+                app.whiteboard.elements.forEach(el => {
+                    const content = getContent(el, board);
+                    if (content !== null) { el.content = content; el.renderedImage = null; app.whiteboard.invalidateElement(el); }
+                });
+                app.whiteboard.render();
+            } else {
+                // A new array, so the library thumbnail is rendered again
+                board.elements = board.elements.map(el => {
+                    const content = getContent(el, board);
+                    return content !== null ? { ...el, content } : el;
+                });
+            }
+        });
+        return changed;
+    }
+}
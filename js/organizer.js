@@ -0,0 +1,471 @@
+/**
+ * @class FluxBoardOrganizer
+ * @description Folders, color tags and sorting of the boards in the library.
+ * Data (saved with the project):
+ * - `project.folders`: [{ id, name, parentId, collapsed }] - nested through `parentId` (null = top level)
+ * - `board.folderId`: folder holding the board (null or unknown = top level)
+ * - `board.tags`: color tag keys (see `tagColors`)
+ * - `board.modifiedAt`: time of the last edit of the board content
+ * The manual order is the order of `project.boards` / `project.folders`.
+ */
+class FluxBoardOrganizer {
+    constructor() {
+        this.dom = {
+            popup: document.getElementById('library-popup'),
+            boardList: document.getElementById('library-board-list'),
+            sortSelect: document.getElementById('lib-sort-select'),
+            btnNewFolder: document.getElementById('btn-lib-new-folder'),
+            tagFilter: document.getElementById('lib-tag-filter')
+        };
+
+        this.tagColors = {
+            red: '#ff5f57',
+            orange: '#ff9f0a',
+            yellow: '#ffd60a',
+            green: '#32d74b',
+            blue: '#0a84ff',
+            purple: '#bf5af2',
+            gray: '#8e8e93'
+        };
+
+        this.sortModes = ['manual', 'name', 'modified'];
+        this.sortMode = this.sortModes.includes(localStorage.getItem('flux-library-sort')) ? localStorage.getItem('flux-library-sort') : 'manual';
+        this.tagFilter = null; // Only boards with this tag are listed
+
+        this.drag = null;      // { type: 'board' | 'folder', id } being dragged
+        this.menu = null;      // Open organize menu
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.dom.sortSelect.value = this.sortMode;
+        this.dom.sortSelect.addEventListener('change', () => this.setSortMode(this.dom.sortSelect.value));
+        this.dom.btnNewFolder.addEventListener('click', () => this.createFolder(null));
+
+        // Dropping on the list itself (not on a board or folder) moves to the top level
+        this.dom.boardList.addEventListener('dragover', (e) => {
+            if (!this.drag) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        this.dom.boardList.addEventListener('drop', (e) => {
+            if (!this.drag) return;
+            e.preventDefault();
+            this.dropOn(null, null);
+        });
+
+        this.dom.popup.addEventListener('click', (e) => {
+            if (this.menu && !this.menu.contains(e.target)) this.closeMenu();
+        });
+    }
+
+    // --- SETTINGS ---
+
+    setSortMode(mode) {
+        if (!this.sortModes.includes(mode)) return;
+        this.sortMode = mode;
+        this.dom.sortSelect.value = mode;
+        localStorage.setItem('flux-library-sort', mode);
+        window.flux.renderLibrary();
+    }
+
+    setTagFilter(tag) {
+        this.tagFilter = this.tagFilter === tag ? null : tag;
+        window.flux.renderLibrary();
+    }
+
+    // --- RENDERING ---
+
+    /**
+     * @method render
+     * @description Fills the board list with the folder tree.
+     * @param {Function} createItem - Builds the library item of a board.
+     */
+    render(createItem) {
+        const app = window.flux;
+        this.closeMenu();
+        this.renderTagFilter();
+
+        const boards = this.sortBoards(app.project.boards.filter(b => !this.tagFilter || (b.tags || []).includes(this.tagFilter)));
+        this.renderLevel(this.dom.boardList, null, boards, createItem);
+
+        if (this.dom.boardList.children.length === 0 && this.tagFilter) {
+            this.dom.boardList.innerHTML = '<div class="empty-state">No boards with this tag</div>';
+        }
+    }
+
+    renderLevel(container, parentId, boards, createItem) {
+        this.sortFolders(this.getFolders().filter(f => this.getParentId(f) === parentId)).forEach(folder => {
+            const count = boards.filter(b => this.isInFolder(b, folder.id)).length;
+            // While filtering, folders without matching boards are left out
+            if (this.tagFilter && count === 0) return;
+
+            const group = document.createElement('div');
+            group.className = `lib-folder ${folder.collapsed ? 'collapsed' : ''}`;
+            group.appendChild(this.createFolderRow(folder, count));
+
+            if (!folder.collapsed) {
+                const children = document.createElement('div');
+                children.className = 'lib-folder-children';
+                this.renderLevel(children, folder.id, boards, createItem);
+                group.appendChild(children);
+            }
+            container.appendChild(group);
+        });
+
+        boards.filter(b => this.getParentId(b) === parentId).forEach(board => {
+            const item = createItem(board);
+            this.makeDraggable(item, { type: 'board', id: board.id });
+            item.addEventListener('dragover', (e) => this.handleDragOver(e, item, 'drop-before'));
+            item.addEventListener('dragleave', () => item.classList.remove('drop-before'));
+            item.addEventListener('drop', (e) => {
+                e.preventDefault(); e.stopPropagation();
+                item.classList.remove('drop-before');
+                this.dropOn(this.getParentId(board), board);
+            });
+            container.appendChild(item);
+        });
+    }
+
+    createFolderRow(folder, count) {
+        const row = document.createElement('div');
+        row.className = 'library-item lib-folder-row';
+        row.innerHTML = `
+            <div class="lib-item-info">
+                <svg class="lib-folder-chevron" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 20a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-7.9a2 2 0 0 1-1.69-.9L9.6 3.9A2 2 0 0 0 7.93 3H4a2 2 0 0 0-2 2v13a2 2 0 0 0 2 2Z"/></svg>
+                <span class="lib-item-name"></span>
+                <small class="lib-folder-count"></small>
+            </div>
+            <div class="lib-actions">
+                <button class="lib-mini-btn new-folder" title="New Subfolder">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 10v6"/><path d="M9 13h6"/><path d="M20 20a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-7.9a2 2 0 0 1-1.69-.9L9.6 3.9A2 2 0 0 0 7.93 3H4a2 2 0 0 0-2 2v13a2 2 0 0 0 2 2Z"/></svg>
+                </button>
+                <button class="lib-mini-btn rename" title="Rename Folder">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/><path d="m15 5 4 4"/></svg>
+                </button>
+                <button class="lib-mini-btn delete danger" title="Delete Folder">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>
+                </button>
+            </div>
+        `;
+        row.querySelector('.lib-item-name').textContent = folder.name;
+        row.querySelector('.lib-folder-count').textContent = count;
+
+        row.querySelector('.lib-item-info').addEventListener('click', () => this.toggleCollapsed(folder));
+        row.querySelector('.new-folder').addEventListener('click', (e) => { e.stopPropagation(); this.createFolder(folder.id); });
+        row.querySelector('.rename').addEventListener('click', (e) => { e.stopPropagation(); this.renameFolder(folder); });
+        row.querySelector('.delete').addEventListener('click', (e) => { e.stopPropagation(); this.deleteFolder(folder); });
+
+        this.makeDraggable(row, { type: 'folder', id: folder.id });
+        row.addEventListener('dragover', (e) => this.handleDragOver(e, row, 'drop-into'));
+        row.addEventListener('dragleave', () => row.classList.remove('drop-into'));
+        row.addEventListener('drop', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            row.classList.remove('drop-into');
+            this.dropOn(folder.id, null);
+        });
+        return row;
+    }
+
+    renderTagFilter() {
+        const app = window.flux;
+        const used = new Set(app.project.boards.flatMap(b => b.tags || []));
+        if (this.tagFilter && !used.has(this.tagFilter)) this.tagFilter = null;
+
+        this.dom.tagFilter.innerHTML = '';
+        this.dom.tagFilter.classList.toggle('hidden', used.size === 0);
+        Object.keys(this.tagColors).filter(tag => used.has(tag)).forEach(tag => {
+            const dot = this.createTagDot(tag, this.tagFilter === tag);
+            dot.title = this.tagFilter === tag ? "Show All Boards" : `Show ${this.getTagLabel(tag)} Boards`;
+            dot.addEventListener('click', () => this.setTagFilter(tag));
+            this.dom.tagFilter.appendChild(dot);
+        });
+    }
+
+    /**
+     * @method createTagList
+     * @description Small colored dots showing the tags of a board next to its name.
+     */
+    createTagList(board) {
+        const list = document.createElement('span');
+        list.className = 'lib-tags';
+        (board.tags || []).filter(tag => this.tagColors[tag]).forEach(tag => {
+            const dot = document.createElement('span');
+            dot.className = 'lib-tag';
+            dot.style.background = this.tagColors[tag];
+            list.appendChild(dot);
+        });
+        return list;
+    }
+
+    createTagDot(tag, isActive) {
+        const dot = document.createElement('button');
+        dot.className = `lib-tag-dot ${isActive ? 'active' : ''}`;
+        dot.style.background = this.tagColors[tag];
+        dot.title = this.getTagLabel(tag);
+        return dot;
+    }
+
+    getTagLabel(tag) {
+        return tag.charAt(0).toUpperCase() + tag.slice(1);
+    }
+
+    // --- ORGANIZE MENU ---
+
+    /**
+     * @method openBoardMenu
+     * @description Menu of a board: toggles its color tags and moves it to another folder.
+     * Also the way to file boards on touch screens, where drag and drop is not available.
+     */
+    openBoardMenu(board, anchor) {
+        this.closeMenu();
+        const menu = document.createElement('div');
+        menu.className = 'lib-menu';
+
+        const tagsLabel = document.createElement('small');
+        tagsLabel.className = 'lib-menu-label';
+        tagsLabel.textContent = "Tags";
+        const tags = document.createElement('div');
+        tags.className = 'lib-menu-tags';
+        Object.keys(this.tagColors).forEach(tag => {
+            const dot = this.createTagDot(tag, (board.tags || []).includes(tag));
+            dot.addEventListener('click', () => {
+                this.toggleTag(board, tag);
+                dot.classList.toggle('active', board.tags.includes(tag));
+            });
+            tags.appendChild(dot);
+        });
+
+        const moveLabel = document.createElement('small');
+        moveLabel.className = 'lib-menu-label';
+        moveLabel.textContent = "Move to";
+        menu.append(tagsLabel, tags, moveLabel);
+
+        const addTarget = (name, folderId, depth) => {
+            const option = document.createElement('button');
+            option.className = `lib-menu-item ${this.getParentId(board) === folderId ? 'active' : ''}`;
+            option.style.paddingLeft = `${12 + depth * 14}px`;
+            option.textContent = name;
+            option.addEventListener('click', () => {
+                this.closeMenu();
+                this.moveBoard(board.id, folderId);
+            });
+            menu.appendChild(option);
+        };
+        addTarget("Library (no folder)", null, 0);
+        this.getFolderTree().forEach(({ folder, depth }) => addTarget(folder.name, folder.id, depth));
+
+        // The menu is placed in the popup, below the button (above it near the bottom)
+        this.dom.popup.appendChild(menu);
+        const popupRect = this.dom.popup.getBoundingClientRect();
+        const anchorRect = anchor.getBoundingClientRect();
+        const top = anchorRect.bottom - popupRect.top + 4;
+        if (top + menu.offsetHeight > popupRect.height) menu.style.bottom = `${popupRect.bottom - anchorRect.top + 4}px`;
+        else menu.style.top = `${top}px`;
+        menu.style.right = `${Math.max(8, popupRect.right - anchorRect.right)}px`;
+        this.menu = menu;
+    }
+
+    closeMenu() {
+        if (!this.menu) return;
+        this.menu.remove();
+        this.menu = null;
+    }
+
+    // --- DRAG & DROP ---
+
+    makeDraggable(element, source) {
+        element.draggable = true;
+        element.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            this.drag = source;
+            element.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', '');
+        });
+        element.addEventListener('dragend', () => {
+            element.classList.remove('dragging');
+            this.drag = null;
+        });
+    }
+
+    handleDragOver(e, target, className) {
+        if (!this.drag) return;
+        e.preventDefault(); e.stopPropagation();
+        e.dataTransfer.dropEffect = 'move';
+        target.classList.add(className);
+    }
+
+    /**
+     * @method dropOn
+     * @description Finishes a drag: into `folderId`, before `beforeBoard` when dropped on a board.
+     */
+    dropOn(folderId, beforeBoard) {
+        const source = this.drag;
+        this.drag = null;
+        if (!source) return;
+        if (source.type === 'board') this.moveBoard(source.id, folderId, beforeBoard ? beforeBoard.id : null);
+        else this.moveFolder(source.id, folderId);
+    }
+
+    // --- BOARDS ---
+
+    /**
+     * @method moveBoard
+     * @description Puts a board in a folder (null = top level). With `beforeId` it is also placed
+     * before that board in the manual order, otherwise at the end of its new folder.
+     */
+    moveBoard(boardId, folderId, beforeId = null) {
+        const app = window.flux;
+        const boards = app.project.boards;
+        const index = boards.findIndex(b => b.id === boardId);
+        if (index < 0 || boardId === beforeId) return;
+
+        const board = boards[index];
+        const sameFolder = this.getParentId(board) === folderId;
+        if (sameFolder && !beforeId) return;
+
+        board.folderId = folderId;
+        if (beforeId || !sameFolder) {
+            boards.splice(index, 1);
+            const target = beforeId ? boards.findIndex(b => b.id === beforeId) : -1;
+            boards.splice(target > -1 ? target : boards.length, 0, board);
+        }
+        app.renderLibrary();
+        app.notifyProjectChanged();
+    }
+
+    toggleTag(board, tag) {
+        const tags = board.tags || [];
+        board.tags = tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag];
+        window.flux.renderLibrary();
+        window.flux.notifyProjectChanged();
+    }
+
+    sortBoards(boards) {
+        if (this.sortMode === 'name') return [...boards].sort((a, b) => this.compareNames(a, b));
+        if (this.sortMode === 'modified') return [...boards].sort((a, b) => (b.modifiedAt || 0) - (a.modifiedAt || 0));
+        return boards;
+    }
+
+    compareNames(a, b) {
+        return a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true });
+    }
+
+    // --- FOLDERS ---
+
+    getFolders() {
+        const project = window.flux.project;
+        return project && Array.isArray(project.folders) ? project.folders : [];
+    }
+
+    getFolder(id) {
+        return this.getFolders().find(f => f.id === id) || null;
+    }
+
+    /**
+     * @method getParentId
+     * @description Folder holding a board or folder. Unknown folders (e.g. deleted) count as the top level.
+     */
+    getParentId(item) {
+        const id = item.folderId !== undefined ? item.folderId : item.parentId;
+        return id != null && this.getFolder(id) ? id : null;
+    }
+
+    isInFolder(board, folderId) {
+        let id = this.getParentId(board);
+        while (id !== null) {
+            if (id === folderId) return true;
+            id = this.getParentId(this.getFolder(id));
+        }
+        return false;
+    }
+
+    /**
+     * @method getFolderTree
+     * @returns {Array<Object>} Every folder in display order, as { folder, depth }.
+     */
+    getFolderTree(parentId = null, depth = 0) {
+        return this.sortFolders(this.getFolders().filter(f => this.getParentId(f) === parentId))
+            .flatMap(folder => [{ folder, depth }, ...this.getFolderTree(folder.id, depth + 1)]);
+    }
+
+    sortFolders(folders) {
+        return this.sortMode === 'manual' ? folders : [...folders].sort((a, b) => this.compareNames(a, b));
+    }
+
+    createFolder(parentId) {
+        const app = window.flux;
+        const name = prompt("Folder Name", "New Folder");
+        if (!name || name.trim() === "") return;
+
+        if (!Array.isArray(app.project.folders)) app.project.folders = [];
+        app.project.folders.push({
+            id: `folder-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name.trim(),
+            parentId,
+            collapsed: false
+        });
+        const parent = this.getFolder(parentId);
+        if (parent) parent.collapsed = false;
+        app.renderLibrary();
+        app.notifyProjectChanged();
+    }
+
+    renameFolder(folder) {
+        const name = prompt("Rename Folder", folder.name);
+        if (!name || name.trim() === "") return;
+        folder.name = name.trim();
+        window.flux.renderLibrary();
+        window.flux.notifyProjectChanged();
+    }
+
+    /**
+     * @method deleteFolder
+     * @description Removes a folder. Its boards and subfolders are kept and move up one level.
+     */
+    deleteFolder(folder) {
+        const app = window.flux;
+        const parentId = this.getParentId(folder);
+        const parent = this.getFolder(parentId);
+        if (!confirm(`Delete the folder "${folder.name}"?\nIts boards and folders are moved to ${parent ? `"${parent.name}"` : "the top of the library"}.`)) return;
+
+        app.project.boards.forEach(b => { if (this.getParentId(b) === folder.id) b.folderId = parentId; });
+        this.getFolders().forEach(f => { if (this.getParentId(f) === folder.id) f.parentId = parentId; });
+        app.project.folders = this.getFolders().filter(f => f !== folder);
+        app.renderLibrary();
+        app.notifyProjectChanged();
+    }
+
+    /**
+     * @method moveFolder
+     * @description Puts a folder inside another one (null = top level), at the end of the manual order.
+     * A folder cannot be moved into itself or one of its subfolders.
+     */
+    moveFolder(folderId, parentId) {
+        const app = window.flux;
+        const folder = this.getFolder(folderId);
+        if (!folder || this.getParentId(folder) === parentId) return;
+
+        for (let id = parentId; id !== null; id = this.getParentId(this.getFolder(id))) {
+            if (id === folderId) return;
+        }
+
+        folder.parentId = parentId;
+        app.project.folders = this.getFolders().filter(f => f !== folder).concat(folder);
+        app.renderLibrary();
+        app.notifyProjectChanged();
+    }
+
+    /**
+     * @method toggleCollapsed
+     * @description Opening or closing a folder is remembered in the project, without counting as a change.
+     */
+    toggleCollapsed(folder) {
+        folder.collapsed = !folder.collapsed;
+        window.flux.renderLibrary();
+        window.flux.persistProject();
+    }
+}
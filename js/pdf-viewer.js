@@ -74,9 +74,7 @@ class FluxPdfViewer {
             baseHeight: 0,
             renderScale: 2.5,  // High DPI rendering
             zoomSensitivity: 0.008, 
-            panSensitivity: 1.1,
-            initialPinchDist: 0,
-            initialPinchZoom: 1
+            panSensitivity: 1.1
         };
 
         this.annotations = []; 
@@ -103,16 +101,15 @@ class FluxPdfViewer {
             });
         });
 
-        // Mouse Events
+        // Mouse, pen and touch input (see FluxPointerInput)
         this.dom.container.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
-        this.dom.container.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-
-        // Touch Events
-        this.dom.container.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
-        this.dom.container.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-        this.dom.container.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        this.input = new FluxPointerInput(this.dom.container, {
+            down: (e, panOnly) => this.handleMouseDown(e, panOnly),
+            move: (e) => this.handleMouseMove(e),
+            up: (e) => this.handleMouseUp(e),
+            cancel: () => this.cancelInteraction(),
+            pinch: (factor, center, dx, dy) => this.handlePinch(factor, center, dx, dy)
+        });
 
         // Modal inputs
         this.dom.gotoModal.addEventListener('click', (e) => {
@@ -163,6 +160,7 @@ class FluxPdfViewer {
         }
 
         console.log(`PDF Annotations saved. Updated ${savedCount} references for ID: ${this.elementId}`);
+        window.flux.notifyProjectChanged(true);
     }
 
     selectTool(tool) {
@@ -181,9 +179,11 @@ class FluxPdfViewer {
      * @method open
      * @description Loads a PDF element into the viewer.
      * @param {Object} element - The PDF element object from the whiteboard.
+     * @param {number} [page=1] - Page shown first (e.g. a search result).
      */
-    async open(element) {
-        if (!element || !element.src) {
+    async open(element, page = 1) {
+        const url = window.flux && window.flux.assets ? window.flux.assets.getUrl(element && element.asset) : null;
+        if (!element || !url) {
             console.error("Invalid PDF element passed to open()");
             return;
         }
@@ -224,9 +224,9 @@ class FluxPdfViewer {
         try {
             if (typeof pdfjsLib === 'undefined') throw new Error("PDF.js library not loaded");
 
-            const loadingTask = pdfjsLib.getDocument(element.src);
+            const loadingTask = pdfjsLib.getDocument(url);
             this.pdfDoc = await loadingTask.promise;
-            this.pageNum = 1;
+            this.pageNum = Math.min(Math.max(page, 1), this.pdfDoc.numPages);
             this.renderPage(this.pageNum);
         } catch (error) {
             console.error('Error loading PDF:', error);
@@ -317,10 +317,14 @@ class FluxPdfViewer {
 
     // --- MOUSE INTERACTION ---
 
-    handleMouseDown(e) {
+    /**
+     * @method handleMouseDown
+     * @param {boolean} [panOnly] - Fingers in stylus-only mode only pan.
+     */
+    handleMouseDown(e, panOnly = false) {
         if (e.button !== undefined && e.button !== 0) return;
         
-        if (this.state.activePdfTool === 'select') {
+        if (panOnly || this.state.activePdfTool === 'select') {
             // Pan Mode
             this.state.isDragging = true;
             this.state.lastMouseX = e.clientX;
@@ -363,9 +367,20 @@ class FluxPdfViewer {
 
     handleMouseUp(e) {
         if (this.state.isDrawingAnnotation) this.finalizeAnnotation();
+        if (this.state.isDragging) this.dom.container.style.cursor = this.state.activePdfTool === 'select' ? 'default' : 'crosshair';
         this.state.isDragging = false;
         this.state.isDrawingAnnotation = false;
-        if(this.state.activePdfTool === 'select') this.dom.container.style.cursor = 'default';
+    }
+
+    /**
+     * @method cancelInteraction
+     * @description Abandons the current gesture (a second finger or a pen took over) without annotating.
+     */
+    cancelInteraction() {
+        this.state.isDrawingAnnotation = false;
+        this.state.currentAnnotationRect = null;
+        this.drawAnnotations();
+        this.handleMouseUp();
     }
 
     openGotoModal() {
@@ -628,34 +643,19 @@ class FluxPdfViewer {
     }
 
     // --- TOUCH HANDLERS ---
-    
-    handleTouchStart(e) {
-        if (e.touches.length === 1) {
-            this.handleMouseDown(e.touches[0]);
-        } else if (e.touches.length === 2) {
-            this.state.isDragging = false;
-            this.state.isDrawingAnnotation = false;
-            this.state.initialPinchDist = Math.hypot(e.touches[0].clientX - e.touches[1].clientX, e.touches[0].clientY - e.touches[1].clientY);
-            this.state.initialPinchZoom = this.state.zoom;
-        }
-    }
 
-    handleTouchMove(e) {
-        if (e.cancelable) e.preventDefault();
-        if (e.touches.length === 1) {
-            this.handleMouseMove(e.touches[0]);
-        } else if (e.touches.length === 2) {
-            const dist = Math.hypot(e.touches[0].clientX - e.touches[1].clientX, e.touches[0].clientY - e.touches[1].clientY);
-            const centerX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
-            const centerY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
-            if (this.state.initialPinchDist) {
-                this.zoomAtPoint(dist / this.state.initialPinchDist / (this.state.zoom / this.state.initialPinchZoom), centerX, centerY);
-            }
-        }
+    /**
+     * @method handlePinch
+     * @description Two-finger zoom around the center of the fingers, panning as it moves.
+     */
+    handlePinch(factor, center, dx, dy) {
+        this.zoomAtPoint(factor, center.x, center.y);
+        this.state.translateX += dx;
+        this.state.translateY += dy;
+        this.clampTranslation();
+        this.applyTransform();
     }
 
-    handleTouchEnd(e) { this.handleMouseUp(e); }
-
     onPrevPage() { if (this.pageNum > 1 && !this.pageRendering) this.renderPage(this.pageNum - 1); }
     onNextPage() { if (this.pageNum < this.pdfDoc.numPages && !this.pageRendering) this.renderPage(this.pageNum + 1); }
 
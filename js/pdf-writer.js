@@ -0,0 +1,242 @@
+/**
+ * @class FluxPdfWriter
+ * @description Minimal PDF 1.4 generator used by the exporter (no network, no dependencies).
+ * Features:
+ * - Pages of any size with raw content streams (vector paths, colors, dashes)
+ * - RGB images with an alpha channel (SMask) and pass-through JPEG (DCTDecode)
+ * - Constant opacity through shared ExtGState resources
+ * - Flate compression through CompressionStream when the browser supports it
+ */
+class FluxPdfWriter {
+    constructor(title = '') {
+        this.title = title;
+
+        // objects[n - 1] = { dict, data } of object number n (null while reserved)
+        this.objects = [];
+        this.pageRefs = [];
+        this.images = [];       // { name, ref }
+        this.alphaStates = new Map(); // alpha -> { name, ref }
+
+        this.catalogRef = this.reserve();
+        this.pagesRef = this.reserve();
+        this.resourcesRef = this.reserve();
+    }
+
+    reserve() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    /**
+     * @method addObject
+     * @param {string} dict - PDF dictionary (without /Length for streams).
+     * @param {Uint8Array|string} [data] - Stream content.
+     * @param {boolean} [compress] - Whether the stream may be Flate encoded.
+     * @returns {number} Object number.
+     */
+    addObject(dict, data = null, compress = false, ref = this.reserve()) {
+        if (typeof data === 'string') data = this.encode(data);
+        this.objects[ref - 1] = { dict, data, compress };
+        return ref;
+    }
+
+    /**
+     * @method addPage
+     * @param {number} width - Page width in points (1/72 inch).
+     * @param {number} height - Page height in points.
+     * @param {string} content - Content stream operators.
+     */
+    addPage(width, height, content) {
+        const contentRef = this.addObject('<<>>', content, true);
+        const ref = this.addObject(`<< /Type /Page /Parent ${this.pagesRef} 0 R /MediaBox [0 0 ${this.num(width)} ${this.num(height)}] /Resources ${this.resourcesRef} 0 R /Contents ${contentRef} 0 R >>`);
+        this.pageRefs.push(ref);
+    }
+
+    /**
+     * @method addImage
+     * @description Embeds RGBA pixels (e.g. from `getImageData`). Fully opaque images get no SMask.
+     * @returns {string} Resource name to use with `Do`.
+     */
+    addImage(width, height, rgba) {
+        const pixels = width * height;
+        const rgb = new Uint8Array(pixels * 3);
+        const alpha = new Uint8Array(pixels);
+        let isOpaque = true;
+
+        for (let i = 0; i < pixels; i++) {
+            rgb[i * 3] = rgba[i * 4];
+            rgb[i * 3 + 1] = rgba[i * 4 + 1];
+            rgb[i * 3 + 2] = rgba[i * 4 + 2];
+            alpha[i] = rgba[i * 4 + 3];
+            if (alpha[i] !== 255) isOpaque = false;
+        }
+
+        let smask = '';
+        if (!isOpaque) {
+            const maskRef = this.addObject(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8 >>`, alpha, true);
+            smask = ` /SMask ${maskRef} 0 R`;
+        }
+        const ref = this.addObject(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8${smask} >>`, rgb, true);
+        return this.registerImage(ref);
+    }
+
+    /**
+     * @method addJpeg
+     * @description Embeds a JPEG file as is (no re-encoding, no quality loss).
+     * @param {Uint8Array} bytes - JPEG file content.
+     * @returns {?string} Resource name, or null when the JPEG cannot be passed through (e.g. CMYK).
+     */
+    addJpeg(bytes) {
+        const info = this.getJpegInfo(bytes);
+        if (!info || (info.components !== 1 && info.components !== 3)) return null;
+
+        const colorSpace = info.components === 1 ? '/DeviceGray' : '/DeviceRGB';
+        const ref = this.addObject(`<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode >>`, bytes);
+        return this.registerImage(ref);
+    }
+
+    registerImage(ref) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, ref });
+        return name;
+    }
+
+    /**
+     * @method getJpegInfo
+     * @description Reads size and color components from the SOF segment of a JPEG.
+     */
+    getJpegInfo(bytes) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+        let i = 2;
+        while (i + 9 < bytes.length) {
+            if (bytes[i] !== 0xFF) return null;
+            const marker = bytes[i + 1];
+            const length = (bytes[i + 2] << 8) | bytes[i + 3];
+            // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    height: (bytes[i + 5] << 8) | bytes[i + 6],
+                    width: (bytes[i + 7] << 8) | bytes[i + 8],
+                    components: bytes[i + 9]
+                };
+            }
+            i += 2 + length;
+        }
+        return null;
+    }
+
+    /**
+     * @method getAlphaState
+     * @description Graphics state setting stroke and fill opacity.
+     * @returns {string} Resource name to use with `gs`.
+     */
+    getAlphaState(alpha) {
+        const key = Math.round(alpha * 100) / 100;
+        if (!this.alphaStates.has(key)) {
+            const ref = this.addObject(`<< /Type /ExtGState /CA ${key} /ca ${key} >>`);
+            this.alphaStates.set(key, { name: `GS${this.alphaStates.size + 1}`, ref });
+        }
+        return this.alphaStates.get(key).name;
+    }
+
+    // --- OUTPUT ---
+
+    /**
+     * @method build
+     * @description Serializes the document.
+     * @returns {Promise<Blob>} The PDF file.
+     */
+    async build() {
+        const xObjects = this.images.map(img => `/${img.name} ${img.ref} 0 R`).join(' ');
+        const states = Array.from(this.alphaStates.values(), s => `/${s.name} ${s.ref} 0 R`).join(' ');
+        this.addObject(`<< /ProcSet [/PDF /ImageC /ImageB] /XObject << ${xObjects} >> /ExtGState << ${states} >> >>`, null, false, this.resourcesRef);
+        this.addObject(`<< /Type /Pages /Kids [${this.pageRefs.map(r => `${r} 0 R`).join(' ')}] /Count ${this.pageRefs.length} >>`, null, false, this.pagesRef);
+        this.addObject(`<< /Type /Catalog /Pages ${this.pagesRef} 0 R >>`, null, false, this.catalogRef);
+        const infoRef = this.addObject(`<< /Title ${this.textString(this.title)} /Producer (Flux Workspace) /CreationDate (D:${this.pdfDate(new Date())}) >>`);
+
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const write = (part) => {
+            const bytes = typeof part === 'string' ? this.encode(part) : part;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        for (let i = 0; i < this.objects.length; i++) {
+            const obj = this.objects[i];
+            offsets.push(length);
+            write(`${i + 1} 0 obj\n`);
+            if (obj.data) {
+                let data = obj.data;
+                let dict = obj.dict.replace(/\s*>>$/, '');
+                if (obj.compress) {
+                    const deflated = await this.deflate(data);
+                    if (deflated) {
+                        data = deflated;
+                        dict += ' /Filter /FlateDecode';
+                    }
+                }
+                write(`${dict} /Length ${data.length} >>\nstream\n`);
+                write(data);
+                write('\nendstream');
+            } else {
+                write(obj.dict);
+            }
+            write('\nendobj\n');
+        }
+
+        const xref = length;
+        write(`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`);
+        write(offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join(''));
+        write(`trailer\n<< /Size ${this.objects.length + 1} /Root ${this.catalogRef} 0 R /Info ${infoRef} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * @method deflate
+     * @description zlib-compresses a stream. Returns null when CompressionStream is unavailable.
+     */
+    async deflate(data) {
+        if (typeof CompressionStream === 'undefined') return null;
+        try {
+            const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // --- HELPERS ---
+
+    /**
+     * @method encode
+     * @description Latin-1 encoding: PDF syntax is byte oriented.
+     */
+    encode(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+        return bytes;
+    }
+
+    /**
+     * @method textString
+     * @description Encodes any Unicode string as a UTF-16BE hex string.
+     */
+    textString(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+        return `<${hex}>`;
+    }
+
+    pdfDate(date) {
+        const p = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}${p(date.getMonth() + 1)}${p(date.getDate())}${p(date.getHours())}${p(date.getMinutes())}${p(date.getSeconds())}`;
+    }
+
+    num(n) {
+        return String(Math.round(n * 1000) / 1000);
+    }
+}
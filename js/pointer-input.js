@@ -0,0 +1,151 @@
+/**
+ * @class FluxPointerInput
+ * @description Single Pointer Events input layer for a surface (whiteboard canvas, PDF viewer).
+ * - Mouse, pen and touch go through the same handlers; one pointer drives a gesture at a time
+ * - Two fingers pinch to zoom and pan (whatever the first finger started is cancelled)
+ * - Stylus-only mode: fingers only pan and zoom, the pen (or mouse) uses the tools
+ * - Palm rejection: while a pen is down, touches are ignored; while it is near the screen,
+ *   large contacts are too. A pen landing cancels what a touch had started.
+ */
+class FluxPointerInput {
+    /**
+     * @param {HTMLElement} target - Surface receiving the pointers (moves and releases are followed on window).
+     * @param {Object} handlers
+     * @param {Function} handlers.down - (e, panOnly) a gesture starts; `panOnly` for fingers in stylus-only mode.
+     * @param {Function} handlers.move - (e) the gesture pointer moved (or a mouse/pen hovers).
+     * @param {Function} handlers.up - (e) the gesture ended.
+     * @param {Function} handlers.cancel - () the gesture is abandoned (second finger, palm, pen took over).
+     * @param {Function} handlers.pinch - (factor, center, dx, dy) two-finger zoom around `center` and pan.
+     */
+    constructor(target, handlers) {
+        this.target = target;
+        this.handlers = handlers;
+
+        this.stylusOnly = false;
+        this.palmSize = 40;        // Contact width/height (CSS px) above which a touch may be a palm
+        this.penHoldTime = 1000;   // Milliseconds a pen counts as active after its last event
+
+        this.activeId = null;      // Pointer driving the current gesture
+        this.activeType = null;
+        this.touches = new Map();  // pointerId -> { x, y } of the fingers on the surface
+        this.ignored = new Set();  // Rejected pointers (palms), ignored until released
+        this.pinch = null;         // { dist, center } while two fingers are down
+        this.penDown = false;
+        this.lastPenTime = 0;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.target.addEventListener('pointerdown', (e) => this.handleDown(e));
+        window.addEventListener('pointermove', (e) => this.handleMove(e));
+        window.addEventListener('pointerup', (e) => this.handleUp(e));
+        window.addEventListener('pointercancel', (e) => this.handleUp(e));
+    }
+
+    isPenActive() {
+        return this.penDown || Date.now() - this.lastPenTime < this.penHoldTime;
+    }
+
+    /**
+     * @method isPalm
+     * @description Touches are rejected while a pen is down, and large ones while a pen is active.
+     */
+    isPalm(e) {
+        if (e.pointerType !== 'touch') return false;
+        if (this.penDown) return true;
+        return this.isPenActive() && Math.max(e.width || 0, e.height || 0) > this.palmSize;
+    }
+
+    handleDown(e) {
+        if (e.pointerType === 'pen') {
+            this.penDown = true;
+            this.lastPenTime = Date.now();
+            // The pen wins over a touch (often the palm landing first)
+            if (this.activeType === 'touch' || this.pinch) this.cancel();
+        }
+
+        if (this.isPalm(e)) {
+            this.ignored.add(e.pointerId);
+            return;
+        }
+
+        if (e.pointerType === 'touch') {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.touches.size === 2 && (this.activeId === null || this.activeType === 'touch')) {
+                if (this.activeId !== null) {
+                    this.handlers.cancel();
+                    this.activeId = null;
+                    this.activeType = null;
+                }
+                this.pinch = this.getPinch();
+                return;
+            }
+            if (this.touches.size > 1 || this.pinch) return;
+        }
+
+        if (this.activeId !== null) return;
+        this.activeId = e.pointerId;
+        this.activeType = e.pointerType;
+        this.handlers.down(e, e.pointerType === 'touch' && this.stylusOnly);
+    }
+
+    handleMove(e) {
+        if (e.pointerType === 'pen') this.lastPenTime = Date.now();
+        if (this.ignored.has(e.pointerId)) return;
+
+        if (this.touches.has(e.pointerId)) {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.pinch) {
+                const next = this.getPinch();
+                if (!next) return;
+                const factor = this.pinch.dist > 0 ? next.dist / this.pinch.dist : 1;
+                this.handlers.pinch(factor, next.center, next.center.x - this.pinch.center.x, next.center.y - this.pinch.center.y);
+                this.pinch = next;
+                return;
+            }
+        }
+
+        if (e.pointerId === this.activeId || (this.activeId === null && e.pointerType !== 'touch')) this.handlers.move(e);
+    }
+
+    handleUp(e) {
+        if (e.pointerType === 'pen') {
+            this.penDown = false;
+            this.lastPenTime = Date.now();
+        }
+        if (this.ignored.delete(e.pointerId)) return;
+
+        this.touches.delete(e.pointerId);
+        if (this.pinch) {
+            // The gesture ends with the last finger, so the remaining one does not start drawing
+            if (this.touches.size < 2) this.pinch = { dist: 0, center: null };
+            if (this.touches.size === 0) {
+                this.pinch = null;
+                this.handlers.up(e);
+            }
+            return;
+        }
+
+        if (e.pointerId !== this.activeId) return;
+        this.activeId = null;
+        this.activeType = null;
+        this.handlers.up(e);
+    }
+
+    cancel() {
+        if (this.activeId !== null) this.handlers.cancel();
+        this.activeId = null;
+        this.activeType = null;
+        this.pinch = null;
+        // The fingers still down no longer count
+        this.touches.forEach((t, id) => this.ignored.add(id));
+        this.touches.clear();
+    }
+
+    getPinch() {
+        const [a, b] = [...this.touches.values()];
+        if (!a || !b) return null;
+        return { dist: Math.hypot(a.x - b.x, a.y - b.y), center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+    }
+}
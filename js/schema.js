@@ -0,0 +1,369 @@
+/**
+ * @class FluxProjectSchema
+ * @description Versioning, migration and validation of Flux project data.
+ * Features:
+ * - Every saved project carries a `schemaVersion`
+ * - Files written by older versions are upgraded step by step through a migration chain
+ * - The validator reports exactly which board/element is broken
+ * - Broken items can be repaired (when possible) or skipped
+ *
+ * Version history:
+ * 1 - Images and PDFs embedded as data-URLs in `el.src` (no `schemaVersion` field)
+ * 2 - Images and PDFs referenced by content hash in `el.asset`
+ */
+class FluxProjectSchema {
+    constructor() {
+        // Version written by this build of Flux
+        this.version = 2;
+
+        // migrations[n] upgrades a project from version n to version n + 1
+        this.migrations = {
+            1: (data, context) => this.migrateInlineAssets(data, context)
+        };
+
+        this.elementTypes = ['line', 'pen', 'shape', 'text', 'image', 'pdf'];
+        this.shapeTypes = ['rect', 'circle', 'triangle', 'diamond', 'hexagon', 'star'];
+
+        // Size restored when a boxed element has no valid dimensions
+        this.defaultSizes = {
+            shape: { width: 200, height: 200 },
+            text: { width: 250, height: 150 },
+            image: { width: 300, height: 300 },
+            pdf: { width: 310, height: 90 }
+        };
+    }
+
+    /**
+     * @method isProject
+     * @description Minimal structural check: anything else is not a Flux project at all.
+     */
+    isProject(data) {
+        return !!data && typeof data === 'object' && Array.isArray(data.boards);
+    }
+
+    getVersion(data) {
+        return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+    }
+
+    // --- MIGRATIONS ---
+
+    /**
+     * @method migrate
+     * @description Runs every migration between the file version and the current one.
+     * @param {Object} data - Raw project data (modified in place).
+     * @param {Object} context - { assets: FluxAssetStore }
+     */
+    async migrate(data, context) {
+        let version = this.getVersion(data);
+        while (version < this.version) {
+            const step = this.migrations[version];
+            if (!step) throw new Error(`No migration available from schema version ${version}.`);
+            await step(data, context);
+            version++;
+        }
+        if (version === this.version) data.schemaVersion = version;
+        return data;
+    }
+
+    /**
+     * @method migrateInlineAssets
+     * @description 1 -> 2: moves data-URLs into the asset store.
+     */
+    async migrateInlineAssets(data, context) {
+        for (const el of this.getAllElements(data)) {
+            if (typeof el.src === 'string' && el.src.startsWith('data:')) {
+                el.asset = await context.assets.addDataUrl(el.src);
+                delete el.src;
+            }
+        }
+    }
+
+    getAllElements(data) {
+        const elements = [];
+        data.boards.forEach(board => {
+            if (board && Array.isArray(board.elements)) {
+                board.elements.forEach(el => { if (el && typeof el === 'object') elements.push(el); });
+            }
+        });
+        return elements;
+    }
+
+    // --- VALIDATION ---
+
+    /**
+     * @method validate
+     * @description Checks a (migrated) project.
+     * @param {Object} data - Project data.
+     * @param {Object} context - { assets: FluxAssetStore, defaultColor: string }
+     * @returns {Array<Object>} Issues: { boardIndex, boardName, elementIndex, elementId, message, repair }.
+     * `repair` is a function fixing the problem in place, or null when the item can only be skipped.
+     * `boardIndex`/`elementIndex` are null for project/board level issues.
+     */
+    validate(data, context) {
+        const issues = [];
+
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+            issues.push({
+                boardIndex: null, boardName: null, elementIndex: null, elementId: null,
+                message: "Project has no name",
+                repair: () => { data.name = "Untitled Project"; }
+            });
+        }
+
+        this.validateFolders(data).concat(this.validateTrash(data)).forEach(p => issues.push({
+            boardIndex: null, boardName: null, elementIndex: null, elementId: null, message: p.message, repair: p.repair
+        }));
+
+        const boardIds = new Set();
+        data.boards.forEach((board, boardIndex) => {
+            const report = (message, repair, elementIndex = null, elementId = null) => {
+                const boardName = board && typeof board.name === 'string' ? board.name : `Board ${boardIndex + 1}`;
+                issues.push({ boardIndex, boardName, elementIndex, elementId, message, repair });
+            };
+
+            if (!board || typeof board !== 'object') {
+                report("Board is not an object", null);
+                return;
+            }
+
+            this.validateBoard(board, boardIndex, boardIds).forEach(p => report(p.message, p.repair));
+            if (!Array.isArray(board.elements)) return;
+
+            const elementIds = new Set();
+            board.elements.forEach((el, elementIndex) => {
+                const elementId = el && typeof el === 'object' ? el.id : null;
+                this.validateElement(el, elementIds, context).forEach(p => report(p.message, p.repair, elementIndex, elementId));
+            });
+        });
+
+        return issues;
+    }
+
+    validateBoard(board, boardIndex, boardIds) {
+        const problems = [];
+        const isValidId = typeof board.id === 'number' || (typeof board.id === 'string' && board.id !== '');
+
+        if (!isValidId || boardIds.has(board.id)) {
+            problems.push({
+                message: isValidId ? `Duplicate board id ${board.id}` : "Board has no id",
+                repair: () => { board.id = this.generateId(boardIds); }
+            });
+        } else {
+            boardIds.add(board.id);
+        }
+
+        if (typeof board.name !== 'string' || board.name.trim() === '') {
+            problems.push({ message: "Board has no name", repair: () => { board.name = `Board ${boardIndex + 1}`; } });
+        }
+
+        if (!Array.isArray(board.elements)) {
+            problems.push({ message: "Board has no element list", repair: () => { board.elements = []; } });
+        }
+
+        if (board.tags !== undefined && !(Array.isArray(board.tags) && board.tags.every(tag => typeof tag === 'string'))) {
+            problems.push({ message: "Board tags are invalid", repair: () => { board.tags = []; } });
+        }
+
+        const view = board.view;
+        if (view !== undefined && !(view && this.isFiniteNumber(view.offsetX) && this.isFiniteNumber(view.offsetY) && this.isFiniteNumber(view.scale) && view.scale > 0)) {
+            problems.push({
+                message: "Board view (pan/zoom) is invalid",
+                repair: () => { board.view = { offsetX: window.innerWidth / 2, offsetY: window.innerHeight / 2, scale: 1 }; }
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * @method validateFolders
+     * @description Library folders are optional. Boards in a missing folder are shown at the top level,
+     * so only the folder list itself is checked (loops of `parentId` included).
+     */
+    validateFolders(data) {
+        if (data.folders === undefined) return [];
+        if (!Array.isArray(data.folders)) {
+            return [{ message: "Library folders are not a list", repair: () => { data.folders = []; } }];
+        }
+
+        const problems = [];
+        const isValid = (f) => f && typeof f === 'object' && typeof f.id === 'string' && f.id !== '' && typeof f.name === 'string';
+        if (!data.folders.every(isValid)) {
+            problems.push({ message: "Some library folders have no id or name", repair: () => { data.folders = data.folders.filter(isValid); } });
+        }
+
+        const byId = new Map(data.folders.filter(isValid).map(f => [f.id, f]));
+        const looping = [...byId.values()].filter(folder => {
+            const seen = new Set();
+            for (let f = folder; f; f = byId.get(f.parentId)) {
+                if (seen.has(f.id)) return true;
+                seen.add(f.id);
+            }
+            return false;
+        });
+        if (looping.length > 0) {
+            problems.push({ message: "Library folders are nested in a loop", repair: () => { looping.forEach(f => { f.parentId = null; }); } });
+        }
+        return problems;
+    }
+
+    /**
+     * @method validateTrash
+     * @description The trash is optional. Items that could not be restored (no board or elements,
+     * unknown element types) are dropped by the repair.
+     */
+    validateTrash(data) {
+        if (data.trash === undefined) return [];
+        if (!Array.isArray(data.trash)) {
+            return [{ message: "The trash is not a list", repair: () => { data.trash = []; } }];
+        }
+
+        const isElementList = (elements) => Array.isArray(elements) && elements.every(el => el && typeof el === 'object' && this.elementTypes.includes(el.type));
+        const isValid = (entry) => entry && typeof entry === 'object' && typeof entry.id === 'string' && typeof entry.deletedAt === 'number' && (
+            entry.type === 'board'
+                ? !!entry.board && typeof entry.board === 'object' && typeof entry.board.name === 'string' && isElementList(entry.board.elements)
+                : entry.type === 'elements' && typeof entry.boardName === 'string' && isElementList(entry.elements) && entry.elements.length > 0
+        );
+        if (data.trash.every(isValid)) return [];
+        return [{ message: "Some items in the trash are damaged", repair: () => { data.trash = data.trash.filter(isValid); } }];
+    }
+
+    /**
+     * @method validateElement
+     * @description Returns the problems of a single element as { message, repair } pairs.
+     */
+    validateElement(el, elementIds, context) {
+        if (!el || typeof el !== 'object') return [{ message: "Element is not an object", repair: null }];
+        if (!this.elementTypes.includes(el.type)) return [{ message: `Unknown element type "${el.type}"`, repair: null }];
+
+        const problems = [];
+        const isValidId = typeof el.id === 'number' || (typeof el.id === 'string' && el.id !== '');
+
+        if (!isValidId || elementIds.has(el.id)) {
+            problems.push({
+                message: isValidId ? `Duplicate element id ${el.id}` : "Element has no id",
+                repair: () => { el.id = this.generateId(elementIds); }
+            });
+        } else {
+            elementIds.add(el.id);
+        }
+
+        if (el.type === 'line') {
+            if (!this.isPoint(el.p1)) problems.push({ message: "Line has no start point (p1)", repair: null });
+            if (!this.isPoint(el.p2)) problems.push({ message: "Line has no end point (p2)", repair: null });
+        }
+        else if (el.type === 'pen') {
+            // Points: { x, y }, plus pressure `p` (0-1) and tilt `tx`/`ty` (degrees) when drawn with a pen
+            if (!Array.isArray(el.points) || el.points.length === 0) {
+                problems.push({ message: "Pen stroke has no points", repair: null });
+            } else if (!el.points.every(p => this.isPoint(p))) {
+                const validPoints = el.points.filter(p => this.isPoint(p));
+                problems.push({
+                    message: `Pen stroke has ${el.points.length - validPoints.length} invalid point(s)`,
+                    repair: validPoints.length > 0 ? () => { el.points = validPoints; } : null
+                });
+            } else if (el.points.some(p => p.p !== undefined && !(this.isFiniteNumber(p.p) && p.p >= 0 && p.p <= 1))) {
+                problems.push({
+                    message: "Pen stroke has invalid pressure values",
+                    repair: () => el.points.forEach(p => { delete p.p; delete p.tx; delete p.ty; })
+                });
+            }
+        }
+        else {
+            problems.push(...this.validateBox(el));
+        }
+
+        if (['line', 'pen', 'shape', 'text'].includes(el.type) && typeof el.color !== 'string') {
+            problems.push({ message: "Element has no color", repair: () => { el.color = context.defaultColor; el.isAutoColor = true; } });
+        }
+
+        if (el.type === 'shape') {
+            if (!this.shapeTypes.includes(el.shapeType)) {
+                problems.push({ message: `Unknown shape "${el.shapeType}"`, repair: () => { el.shapeType = 'rect'; } });
+            }
+            if (typeof el.fillColor !== 'string') {
+                problems.push({ message: "Shape has no fill color", repair: () => { el.fillColor = 'transparent'; el.isAutoFill = false; } });
+            }
+        }
+        else if (el.type === 'text' && typeof el.content !== 'string') {
+            problems.push({ message: "Text has no content", repair: () => { el.content = ""; } });
+        }
+        else if (el.type === 'image' || el.type === 'pdf') {
+            if (typeof el.asset !== 'string' || el.asset === '') {
+                problems.push({ message: `${el.type === 'pdf' ? 'PDF' : 'Image'} has no file`, repair: null });
+            } else if (context.assets && !context.assets.has(el.asset)) {
+                problems.push({ message: `${el.type === 'pdf' ? 'PDF' : 'Image'} file is missing from the project`, repair: null });
+            }
+            if (el.type === 'pdf' && el.annotations !== undefined && !Array.isArray(el.annotations)) {
+                problems.push({ message: "PDF annotations are corrupted", repair: () => { el.annotations = []; } });
+            }
+        }
+
+        return problems;
+    }
+
+    validateBox(el) {
+        const problems = [];
+        if (!this.isFiniteNumber(el.x) || !this.isFiniteNumber(el.y)) {
+            problems.push({
+                message: "Element has no position",
+                repair: () => {
+                    if (!this.isFiniteNumber(el.x)) el.x = 0;
+                    if (!this.isFiniteNumber(el.y)) el.y = 0;
+                }
+            });
+        }
+        if (!(el.width > 0 && el.height > 0 && this.isFiniteNumber(el.width) && this.isFiniteNumber(el.height))) {
+            problems.push({
+                message: "Element has an invalid size",
+                repair: () => { el.width = this.defaultSizes[el.type].width; el.height = this.defaultSizes[el.type].height; }
+            });
+        }
+        return problems;
+    }
+
+    // --- RESOLUTION ---
+
+    /**
+     * @method resolve
+     * @description Applies the user's choice to the reported issues.
+     * - 'repair': fixes what can be fixed, drops the rest
+     * - 'skip': drops every broken element (project and board level issues are always repaired)
+     */
+    resolve(data, issues, mode) {
+        const brokenBoards = new Set();
+        const brokenElements = new Map(); // boardIndex -> Set of element indexes
+
+        issues.forEach(issue => {
+            const canRepair = issue.repair && (mode === 'repair' || issue.elementIndex === null);
+            if (canRepair) {
+                issue.repair();
+            } else if (issue.elementIndex === null) {
+                brokenBoards.add(issue.boardIndex);
+            } else {
+                if (!brokenElements.has(issue.boardIndex)) brokenElements.set(issue.boardIndex, new Set());
+                brokenElements.get(issue.boardIndex).add(issue.elementIndex);
+            }
+        });
+
+        brokenElements.forEach((indexes, boardIndex) => {
+            const board = data.boards[boardIndex];
+            if (board && Array.isArray(board.elements)) board.elements = board.elements.filter((el, i) => !indexes.has(i));
+        });
+        data.boards = data.boards.filter((board, i) => !brokenBoards.has(i));
+        return data;
+    }
+
+    // --- HELPERS ---
+
+    isFiniteNumber(value) { return typeof value === 'number' && isFinite(value); }
+
+    isPoint(p) { return !!p && this.isFiniteNumber(p.x) && this.isFiniteNumber(p.y); }
+
+    generateId(usedIds) {
+        let id;
+        do { id = Date.now() + Math.random(); } while (usedIds.has(id));
+        usedIds.add(id);
+        return id;
+    }
+}
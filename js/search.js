@@ -0,0 +1,308 @@
+/**
+ * @class FluxSearch
+ * @description Full-text search across all boards of the project.
+ * Indexed: board names, the Markdown of text elements, PDF names and the text of PDFs
+ * (extracted with pdf.js in the background, cached per file hash).
+ * Results are grouped by board; picking one opens the board and centers the element.
+ */
+class FluxSearch {
+    constructor() {
+        this.dom = {
+            modal: document.getElementById('search-modal'),
+            btnClose: document.getElementById('btn-close-search'),
+            input: document.getElementById('search-input'),
+            status: document.getElementById('search-status'),
+            results: document.getElementById('search-results')
+        };
+
+        this.pdfTexts = new Map();  // asset hash -> Promise<string[]> (text of each page)
+        this.pendingPdfs = 0;       // PDFs being extracted
+        this.results = [];          // Hits of the last search, in display order
+
+        this.maxHitsPerBoard = 20;
+        this.snippetRadius = 40;    // Characters shown on each side of a match
+        this.searchTimer = null;
+        this.runId = 0;             // Only the latest search may show its results
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.dom.btnClose.addEventListener('click', () => this.close());
+        this.dom.modal.addEventListener('click', (e) => { if (e.target === this.dom.modal) this.close(); });
+        this.dom.input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.run(), 150);
+        });
+        this.dom.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(this.searchTimer);
+                this.run().then(() => { if (this.results.length > 0) this.open(this.results[0]); });
+            } else if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    show() {
+        window.flux.saveCurrentBoardState();
+        this.dom.modal.classList.remove('hidden');
+        this.dom.input.focus();
+        this.dom.input.select();
+        this.indexPdfs();
+        this.run();
+    }
+
+    close() {
+        clearTimeout(this.searchTimer);
+        this.dom.modal.classList.add('hidden');
+    }
+
+    clear() {
+        this.close();
+        this.pdfTexts.clear();
+        this.results = [];
+    }
+
+    isOpen() {
+        return !this.dom.modal.classList.contains('hidden');
+    }
+
+    // --- INDEX ---
+
+    /**
+     * @method getEntries
+     * @description Searchable texts of the project: { board, element, kind, text, page }.
+     */
+    async getEntries() {
+        const app = window.flux;
+        const entries = [];
+        for (const board of app.project.boards) {
+            entries.push({ board, element: null, kind: 'board', text: board.name });
+            for (const el of board.elements) {
+                if (el.type === 'text') {
+                    entries.push({ board, element: el, kind: 'text', text: el.content });
+                } else if (el.type === 'pdf') {
+                    entries.push({ board, element: el, kind: 'pdf', text: el.name || '' });
+                    const pages = await this.getPdfText(el.asset, false);
+                    (pages || []).forEach((text, i) => entries.push({ board, element: el, kind: 'pdf-page', text, page: i + 1 }));
+                }
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * @method indexPdfs
+     * @description Starts the text extraction of every PDF of the project that is not indexed yet.
+     */
+    indexPdfs() {
+        const app = window.flux;
+        const hashes = new Set();
+        app.project.boards.forEach(board => board.elements.forEach(el => {
+            if (el.type === 'pdf' && el.asset && !this.pdfTexts.has(el.asset)) hashes.add(el.asset);
+        }));
+        hashes.forEach(hash => this.getPdfText(hash, true));
+    }
+
+    /**
+     * @method getPdfText
+     * @param {boolean} extract - Start the extraction if the file was never read (otherwise resolves to null).
+     * @returns {Promise<?string[]>} Text of each page.
+     */
+    getPdfText(hash, extract) {
+        if (this.pdfTexts.has(hash)) return this.pdfTexts.get(hash);
+        if (!extract) return Promise.resolve(null);
+
+        this.pendingPdfs++;
+        this.updateStatus();
+        const job = this.extractPdfText(hash)
+            .catch(e => {
+                console.warn("Flux: Could not read the text of a PDF.", e);
+                return [];
+            })
+            .finally(() => {
+                this.pendingPdfs--;
+                if (this.isOpen()) this.run();
+            });
+        this.pdfTexts.set(hash, job);
+        return job;
+    }
+
+    async extractPdfText(hash) {
+        const url = window.flux.assets.getUrl(hash);
+        if (!url || typeof pdfjsLib === 'undefined') return [];
+
+        const pdf = await pdfjsLib.getDocument(url).promise;
+        const pages = [];
+        try {
+            for (let i = 1; i <= pdf.numPages; i++) {
+                const page = await pdf.getPage(i);
+                const content = await page.getTextContent();
+                pages.push(content.items.map(item => item.str).join(' ').replace(/\s+/g, ' '));
+            }
+        } finally {
+            pdf.destroy();
+        }
+        return pages;
+    }
+
+    // --- SEARCH ---
+
+    /**
+     * @method normalize
+     * @description Case and accent insensitive form of a text ("Élan" matches "elan").
+     */
+    normalize(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * @method fold
+     * @description Normalized text, with the index in `text` of each of its characters
+     * (their lengths differ once accents are removed).
+     */
+    fold(text) {
+        let folded = '';
+        const index = [];
+        for (let i = 0; i < text.length; i++) {
+            const part = this.normalize(text[i]);
+            folded += part;
+            for (let j = 0; j < part.length; j++) index.push(i);
+        }
+        index.push(text.length);
+        return { folded, index };
+    }
+
+    async run() {
+        const runId = ++this.runId;
+        const words = this.normalize(this.dom.input.value).split(/\s+/).filter(Boolean);
+        const entries = words.length > 0 ? await this.getEntries() : [];
+        if (runId !== this.runId) return;
+
+        // Every word must appear in the entry
+        this.results = [];
+        entries.forEach(entry => {
+            const text = this.normalize(entry.text);
+            if (words.every(word => text.includes(word))) this.results.push(entry);
+        });
+
+        this.updateStatus();
+        this.renderResults(words);
+    }
+
+    updateStatus() {
+        const parts = [];
+        if (this.dom.input.value.trim() !== '') {
+            parts.push(this.results.length === 0 ? "No results" : `${this.results.length} result${this.results.length === 1 ? '' : 's'}`);
+        }
+        if (this.pendingPdfs > 0) parts.push(`reading ${this.pendingPdfs} PDF${this.pendingPdfs === 1 ? '' : 's'}…`);
+        this.dom.status.textContent = parts.join(' · ');
+    }
+
+    renderResults(words) {
+        const app = window.flux;
+        this.dom.results.innerHTML = '';
+
+        app.project.boards.forEach(board => {
+            const hits = this.results.filter(r => r.board === board);
+            if (hits.length === 0) return;
+
+            const group = document.createElement('div');
+            group.className = 'search-group';
+            const title = document.createElement('button');
+            title.className = 'search-group-title';
+            title.textContent = board.name;
+            title.addEventListener('click', () => this.open({ board, element: null }));
+            group.appendChild(title);
+
+            hits.filter(hit => hit.kind !== 'board').slice(0, this.maxHitsPerBoard).forEach(hit => {
+                const item = document.createElement('button');
+                item.className = 'search-hit';
+                const kind = document.createElement('small');
+                kind.textContent = hit.kind === 'text' ? "Text" : hit.kind === 'pdf' ? "PDF" : `${hit.element.name || "PDF"} · page ${hit.page}`;
+                const snippet = document.createElement('span');
+                snippet.className = 'search-snippet';
+                snippet.innerHTML = this.getSnippet(hit.text, words);
+                item.append(kind, snippet);
+                item.addEventListener('click', () => this.open(hit));
+                group.appendChild(item);
+            });
+
+            const more = hits.filter(hit => hit.kind !== 'board').length - this.maxHitsPerBoard;
+            if (more > 0) {
+                const note = document.createElement('small');
+                note.className = 'search-more';
+                note.textContent = `and ${more} more on this board`;
+                group.appendChild(note);
+            }
+            this.dom.results.appendChild(group);
+        });
+    }
+
+    /**
+     * @method getSnippet
+     * @description Escaped excerpt around the first match, with every query word highlighted.
+     */
+    getSnippet(text, words) {
+        const original = text.replace(/\s+/g, ' ');
+        const { folded, index } = this.fold(original);
+
+        // Excerpt around the first word, in folded coordinates
+        const first = Math.max(0, folded.indexOf(words[0]));
+        const start = Math.max(0, first - this.snippetRadius);
+        const end = Math.min(folded.length, first + words[0].length + this.snippetRadius);
+
+        const marks = [];
+        words.forEach(word => {
+            for (let i = folded.indexOf(word, start); i > -1 && i < end; i = folded.indexOf(word, i + word.length)) {
+                marks.push([i, Math.min(i + word.length, end)]);
+            }
+        });
+        marks.sort((a, b) => a[0] - b[0]);
+
+        let html = start > 0 ? '…' : '';
+        let pos = start;
+        marks.forEach(([from, to]) => {
+            from = Math.max(from, pos);
+            if (to <= from) return;
+            html += this.escape(original.slice(index[pos], index[from])) + `<mark>${this.escape(original.slice(index[from], index[to]))}</mark>`;
+            pos = to;
+        });
+        html += this.escape(original.slice(index[pos], index[end])) + (end < folded.length ? '…' : '');
+        return html;
+    }
+
+    escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // --- NAVIGATION ---
+
+    /**
+     * @method open
+     * @description Switches to the board of a result and centers its element (PDF pages open in the viewer).
+     */
+    open(hit) {
+        const app = window.flux;
+        this.close();
+        if (!app.project.boards.includes(hit.board)) return;
+        if (hit.board.id !== app.state.activeBoardId) app.switchToBoard(hit.board.id);
+        if (!hit.element) return;
+
+        const wb = app.whiteboard;
+        const el = wb.elements.find(e => e.id === hit.element.id);
+        if (!el) return;
+
+        wb.view.offsetX = window.innerWidth / 2 - (el.x + el.width / 2) * wb.view.scale;
+        wb.view.offsetY = window.innerHeight / 2 - (el.y + el.height / 2) * wb.view.scale;
+        if (app.state.activeTool === 'select') wb.interaction.selectedElements = [el];
+        wb.render();
+        app.updateEditBar();
+
+        if (hit.kind === 'pdf-page' && app.pdfViewer) {
+            wb.canvas.dispatchEvent(new CustomEvent('flux-pdf-preview', { detail: { element: el, page: hit.page } }));
+        }
+    }
+}
@@ -6,13 +6,18 @@
  * 
  * SHORTCUT MAP:
  * - Cmd/Ctrl + Enter: Save & Close Editor (Markdown/Formula)
- * - Cmd/Ctrl + S: Save Project
+ * - Cmd/Ctrl + S: Save Project (in place when it was opened from / saved to a file)
+ * - Cmd/Ctrl + Shift + S: Save Project As
+ * - Cmd/Ctrl + O: Open Project File (asks first if there are unsaved changes)
+ * - Cmd/Ctrl + E: Export (SVG, PNG, PDF, Markdown, JSON Canvas)
  * - Cmd/Ctrl + L: Toggle Library
+ * - Cmd/Ctrl + F: Search the project (text, board names, PDFs)
  * - Cmd/Ctrl + D: Duplicate Selected
  * - Arrow Keys: PDF Navigation (if open)
+ * - Alt + Left/Right: Back/Forward through followed board links
  * - Escape: Close PDF Viewer
  * - Backspace/Delete: Delete Selected Elements
- * - 1, 2, 3: Tool selection (Select, Pan, Pen)
+ * - 1, 2, 3, 4: Tool selection (Select, Pan, Pen, Eraser)
  * - L, S, T, E, I: Quick tool selection (Line, Shape, Text, Equation, Image)
  */
 
@@ -51,15 +56,30 @@ document.addEventListener('keydown', (e) => {
 
     // --- 2. GLOBAL SYSTEM SHORTCUTS ---
     
-    // Save Project (Cmd/Ctrl + S)
+    // Save Project (Cmd/Ctrl + S) / Save As (Cmd/Ctrl + Shift + S)
     if (isCmdOrCtrl && (e.key === 's' || e.key === 'S')) {
         e.preventDefault(); // Prevent browser "Save Page" dialog
         if (app.state.boardActive) {
-            app.downloadProjectZip();
+            if (e.shiftKey) app.saveProjectAs();
+            else app.saveProject();
         }
         return;
     }
 
+    // Open Project File (Cmd/Ctrl + O)
+    if (isCmdOrCtrl && (e.key === 'o' || e.key === 'O')) {
+        e.preventDefault(); // Prevent browser "Open File" dialog
+        app.openProjectFile();
+        return;
+    }
+
+    // Export Dialog (Cmd/Ctrl + E)
+    if (isCmdOrCtrl && (e.key === 'e' || e.key === 'E')) {
+        e.preventDefault(); // Prevent browser search bar focus
+        if (!isTyping) app.openExportDialog();
+        return;
+    }
+
     // Open/Toggle Library (Cmd/Ctrl + L)
     if (isCmdOrCtrl && (e.key === 'l' || e.key === 'L')) {
         e.preventDefault(); // Prevent browser location bar focus
@@ -67,6 +87,13 @@ document.addEventListener('keydown', (e) => {
         return;
     }
 
+    // Search the Project (Cmd/Ctrl + F), the browser's find elsewhere
+    if (isCmdOrCtrl && (e.key === 'f' || e.key === 'F') && app.state.boardActive && app.search) {
+        e.preventDefault();
+        if (!isTyping || target === app.search.dom.input) app.search.show();
+        return;
+    }
+
     // Duplicate Selected Element (Cmd/Ctrl + D)
     if (isCmdOrCtrl && (e.key === 'd' || e.key === 'D')) {
         e.preventDefault(); // Prevent browser bookmark dialog
@@ -113,6 +140,14 @@ document.addEventListener('keydown', (e) => {
     // If the user is typing in a text field, we stop here to allow normal input.
     if (isTyping) return;
 
+    // Back/Forward through followed board links (Alt + Left/Right)
+    if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight') && app.state.boardActive && app.links) {
+        e.preventDefault();
+        if (e.key === 'ArrowLeft') app.links.back();
+        else app.links.forward();
+        return;
+    }
+
     // Delete Selected (Backspace or Delete)
     if (e.key === 'Backspace' || e.key === 'Delete') {
         if (app.state.boardActive) {
@@ -135,6 +170,9 @@ document.addEventListener('keydown', (e) => {
         case '3':
             app.selectTool('pen');
             break;
+        case '4':
+            app.selectTool('eraser');
+            break;
         case 'l':
             // L = Line Tool
             app.createLineAction();
@@ -0,0 +1,405 @@
+/**
+ * @class FluxSnapshots
+ * @description Version history of the open project, stored in IndexedDB (see FluxStorage).
+ * Features:
+ * - Named snapshots of the whole project, taken on demand
+ * - Automatic snapshots every few minutes while the project changes (oldest ones are pruned)
+ * - Timeline panel with board-level change summaries between consecutive snapshots
+ * - Preview of any board of a snapshot, rendered through `renderToCanvas`
+ * - Restore a single board or the whole project (the current state is snapshotted first)
+ */
+class FluxSnapshots {
+    constructor() {
+        this.dom = {
+            modal: document.getElementById('history-modal'),
+            btnClose: document.getElementById('btn-close-history'),
+            btnTake: document.getElementById('btn-take-snapshot'),
+            list: document.getElementById('history-list'),
+            empty: document.getElementById('history-empty'),
+            preview: document.getElementById('history-preview'),
+            boardBtns: document.getElementById('history-boards'),
+            image: document.getElementById('history-preview-image'),
+            previewInfo: document.getElementById('history-preview-info'),
+            btnRestoreBoard: document.getElementById('btn-restore-board'),
+            btnRestoreProject: document.getElementById('btn-restore-project')
+        };
+
+        // Automatic snapshots: checked every `interval` ms, taken only if the project changed
+        this.interval = 10 * 60 * 1000;
+        this.maxAutomatic = 30; // per project; named snapshots are never pruned
+
+        // Largest preview, in CSS pixels
+        this.previewSize = { width: 560, height: 360 };
+
+        this.snapshots = [];        // Snapshots of the open project, oldest first (while the panel is open)
+        this.selected = null;       // Snapshot shown in the preview
+        this.selectedBoardId = null;
+        this.previewToken = 0;      // Discards previews that finish after another one was requested
+
+        // Project id -> serialized boards of its latest snapshot (to skip identical snapshots)
+        this.lastBoards = new Map();
+
+        this.bindEvents();
+        setInterval(() => this.takeAutomatic(), this.interval);
+    }
+
+    bindEvents() {
+        this.dom.btnClose.addEventListener('click', () => this.close());
+        this.dom.modal.addEventListener('click', (e) => { if (e.target === this.dom.modal) this.close(); });
+        this.dom.btnTake.addEventListener('click', () => this.takeNamed());
+        this.dom.btnRestoreBoard.addEventListener('click', () => this.restoreBoard());
+        this.dom.btnRestoreProject.addEventListener('click', () => this.restoreProject());
+    }
+
+    // --- TAKING SNAPSHOTS ---
+
+    /**
+     * @method take
+     * @description Stores a copy of the open project.
+     * @param {string} name - Label shown in the timeline.
+     * @param {boolean} [automatic] - Automatic snapshots are pruned after `maxAutomatic`.
+     * @returns {Promise<?Object>} The snapshot record.
+     */
+    async take(name, automatic = false) {
+        const app = window.flux;
+        if (!app.storage || !app.state.boardActive || app.project.boards.length === 0) return null;
+
+        // The snapshot only references assets by hash: make sure they are in IndexedDB
+        await app.persistProject();
+
+        const project = JSON.parse(JSON.stringify({ ...app.project, schemaVersion: app.schema.version }));
+        const record = {
+            id: `snapshot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            projectId: project.id,
+            name,
+            auto: automatic,
+            createdAt: Date.now(),
+            project,
+            assets: app.getProjectAssetHashes(project)
+        };
+        await app.storage.saveSnapshot(record);
+        this.lastBoards.set(project.id, JSON.stringify(project.boards));
+
+        if (automatic) await this.pruneAutomatic(project.id);
+        return record;
+    }
+
+    async takeNamed() {
+        const name = prompt("Snapshot name", `Snapshot ${new Date().toLocaleString()}`);
+        if (name === null) return;
+
+        try {
+            await this.take(name.trim() || "Snapshot");
+            await this.refresh();
+        } catch (e) {
+            console.error(e);
+            alert("Could not take a snapshot: " + e.message);
+        }
+    }
+
+    /**
+     * @method takeAutomatic
+     * @description Periodic snapshot, skipped when nothing changed since the latest one.
+     */
+    async takeAutomatic() {
+        const app = window.flux;
+        if (!app || !app.storage || !app.state.boardActive) return;
+
+        try {
+            app.saveCurrentBoardState();
+            const projectId = app.project.id;
+            if (!this.lastBoards.has(projectId)) {
+                const snapshots = await app.storage.listSnapshots(projectId);
+                const latest = snapshots[snapshots.length - 1];
+                this.lastBoards.set(projectId, latest ? JSON.stringify(latest.project.boards) : null);
+            }
+            if (this.lastBoards.get(projectId) === JSON.stringify(app.project.boards)) return;
+
+            await this.take("Automatic snapshot", true);
+        } catch (e) {
+            console.warn("Flux: Automatic snapshot failed.", e);
+        }
+    }
+
+    async pruneAutomatic(projectId) {
+        const automatic = (await window.flux.storage.listSnapshots(projectId)).filter(s => s.auto);
+        const excess = automatic.length - this.maxAutomatic;
+        if (excess > 0) await window.flux.storage.deleteSnapshots(automatic.slice(0, excess).map(s => s.id));
+    }
+
+    // --- TIMELINE PANEL ---
+
+    async open() {
+        const app = window.flux;
+        if (!app.storage) {
+            alert("Version history needs local storage (IndexedDB), which is not available in this browser.");
+            return;
+        }
+        this.dom.modal.classList.remove('hidden');
+        await this.refresh();
+    }
+
+    close() {
+        this.dom.modal.classList.add('hidden');
+        this.snapshots = [];
+        this.selected = null;
+        this.dom.image.removeAttribute('src');
+    }
+
+    /**
+     * @method refresh
+     * @description Reloads the snapshots of the open project and selects the latest one.
+     */
+    async refresh() {
+        try {
+            this.snapshots = await window.flux.storage.listSnapshots(window.flux.project.id);
+        } catch (e) {
+            console.error(e);
+            this.snapshots = [];
+        }
+        this.renderTimeline();
+        this.select(this.snapshots[this.snapshots.length - 1] || null);
+    }
+
+    renderTimeline() {
+        this.dom.list.innerHTML = '';
+        this.dom.empty.classList.toggle('hidden', this.snapshots.length > 0);
+        this.dom.preview.classList.toggle('hidden', this.snapshots.length === 0);
+
+        // Newest first, each one compared with the snapshot before it
+        this.snapshots.slice().reverse().forEach(snapshot => {
+            const index = this.snapshots.indexOf(snapshot);
+            const previous = index > 0 ? this.snapshots[index - 1].project : null;
+
+            const item = document.createElement('button');
+            item.className = 'history-item';
+            item.dataset.snapshotId = snapshot.id;
+
+            const name = document.createElement('span');
+            name.className = 'history-item-name';
+            name.textContent = snapshot.name;
+            const time = document.createElement('small');
+            time.textContent = new Date(snapshot.createdAt).toLocaleString();
+            const changes = document.createElement('ul');
+            changes.className = 'history-changes';
+            this.getChanges(previous, snapshot.project).forEach(change => {
+                const li = document.createElement('li');
+                li.textContent = change;
+                changes.appendChild(li);
+            });
+
+            item.append(name, time, changes);
+            item.addEventListener('click', () => this.select(snapshot));
+            this.dom.list.appendChild(item);
+        });
+    }
+
+    /**
+     * @method getChanges
+     * @description Board-level summary of what changed between two versions of a project.
+     * @param {?Object} before - Older project data (null for the first snapshot).
+     * @param {Object} after - Newer project data.
+     * @returns {Array<string>}
+     */
+    getChanges(before, after) {
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        if (!before) return [`${plural(after.boards.length, 'board')}, ${plural(after.boards.reduce((n, b) => n + b.elements.length, 0), 'element')}`];
+
+        const changes = [];
+        const oldBoards = new Map(before.boards.map(b => [b.id, b]));
+
+        after.boards.forEach(board => {
+            const old = oldBoards.get(board.id);
+            if (!old) {
+                changes.push(`Added "${board.name}" (${plural(board.elements.length, 'element')})`);
+                return;
+            }
+            oldBoards.delete(board.id);
+
+            const parts = [];
+            if (old.name !== board.name) parts.push(`renamed from "${old.name}"`);
+            const diff = this.compareElements(old.elements, board.elements);
+            if (diff.added) parts.push(`${diff.added} added`);
+            if (diff.removed) parts.push(`${diff.removed} removed`);
+            if (diff.edited) parts.push(`${diff.edited} edited`);
+            if (parts.length > 0) changes.push(`${board.name}: ${parts.join(', ')}`);
+        });
+        oldBoards.forEach(board => changes.push(`Deleted "${board.name}"`));
+
+        if (before.name !== after.name) changes.unshift(`Project renamed from "${before.name}"`);
+        return changes.length > 0 ? changes : ["No changes"];
+    }
+
+    compareElements(before, after) {
+        const old = new Map(before.map(el => [el.id, JSON.stringify(el)]));
+        const result = { added: 0, removed: 0, edited: 0 };
+        after.forEach(el => {
+            if (!old.has(el.id)) result.added++;
+            else if (old.get(el.id) !== JSON.stringify(el)) result.edited++;
+            old.delete(el.id);
+        });
+        result.removed = old.size;
+        return result;
+    }
+
+    // --- PREVIEW ---
+
+    select(snapshot) {
+        this.selected = snapshot;
+        this.dom.list.querySelectorAll('.history-item').forEach(item => {
+            item.classList.toggle('active', !!snapshot && item.dataset.snapshotId === snapshot.id);
+        });
+        if (!snapshot) return;
+
+        // Keep showing the same board when it exists in the newly selected snapshot
+        const boards = snapshot.project.boards;
+        const current = boards.find(b => b.id === this.selectedBoardId) ||
+            boards.find(b => b.id === window.flux.state.activeBoardId) || boards[0];
+        this.dom.boardBtns.innerHTML = '';
+        boards.forEach(board => {
+            const btn = document.createElement('button');
+            btn.className = 'segment-btn';
+            btn.dataset.boardId = String(board.id);
+            btn.textContent = board.name;
+            btn.addEventListener('click', () => this.showBoard(board));
+            this.dom.boardBtns.appendChild(btn);
+        });
+        this.showBoard(current);
+    }
+
+    async showBoard(board) {
+        this.selectedBoardId = board ? board.id : null;
+        this.dom.boardBtns.querySelectorAll('.segment-btn').forEach(btn => {
+            btn.classList.toggle('active', !!board && btn.dataset.boardId === String(board.id));
+        });
+        this.dom.btnRestoreBoard.disabled = !board;
+        if (!board) return;
+
+        const exists = window.flux.project.boards.some(b => b.id === board.id);
+        this.dom.btnRestoreBoard.textContent = exists ? "Restore This Board" : "Restore Deleted Board";
+        this.dom.previewInfo.textContent = `${board.elements.length} element${board.elements.length === 1 ? '' : 's'}`;
+
+        const token = ++this.previewToken;
+        this.dom.image.removeAttribute('src');
+        try {
+            const url = await this.renderPreview(board);
+            if (token === this.previewToken && url) this.dom.image.src = url;
+        } catch (e) {
+            console.error(e);
+            if (token === this.previewToken) this.dom.previewInfo.textContent = "Preview unavailable.";
+        }
+    }
+
+    /**
+     * @method renderPreview
+     * @description Renders a board of a snapshot to an image (data-URL), or null if it is empty.
+     */
+    async renderPreview(board) {
+        const app = window.flux;
+        if (board.elements.length === 0 || !app.whiteboard || !app.exporter) return null;
+
+        // Copies: render caches must not end up in the snapshot
+        const elements = JSON.parse(JSON.stringify(board.elements));
+        await this.loadAssets(elements);
+
+        const bounds = app.exporter.getExportBounds(elements, app.exporter.boardMargin);
+        const ratio = window.devicePixelRatio || 1;
+        const scale = Math.min(2, this.previewSize.width / bounds.width, this.previewSize.height / bounds.height) * ratio;
+        const canvas = await app.whiteboard.renderToCanvas({ elements, bounds, scale, background: 'theme' });
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * @method loadAssets
+     * @description Brings images and PDFs of a snapshot (possibly deleted since) back from IndexedDB.
+     */
+    async loadAssets(elements) {
+        const app = window.flux;
+        for (const el of elements) {
+            if (!el.asset || app.assets.has(el.asset)) continue;
+            const blob = await app.storage.getAsset(el.asset);
+            if (blob) app.assets.set(el.asset, blob);
+        }
+    }
+
+    // --- RESTORE ---
+
+    async restoreBoard() {
+        const app = window.flux;
+        const snapshot = this.selected;
+        const board = snapshot && snapshot.project.boards.find(b => b.id === this.selectedBoardId);
+        if (!board) return;
+
+        const when = new Date(snapshot.createdAt).toLocaleString();
+        if (!confirm(`Replace "${board.name}" with its version from ${when}?\nThe current project is saved as a snapshot first.`)) return;
+
+        try {
+            await this.take(`Before restoring "${board.name}"`);
+            await this.loadAssets(board.elements);
+
+            const restored = JSON.parse(JSON.stringify(board));
+            app.saveCurrentBoardState();
+            const index = app.project.boards.findIndex(b => b.id === restored.id);
+            if (index >= 0) {
+                // Undo on the board brings back what the restore replaced
+                app.saveBoardHistory(app.project.boards[index]);
+                restored.name = app.getUniqueBoardName(restored.name, app.project.boards[index]);
+                app.project.boards[index] = restored;
+            } else {
+                restored.name = app.getUniqueBoardName(restored.name);
+                app.project.boards.push(restored);
+            }
+
+            // The whiteboard still holds the replaced board: keep its undo history, not its elements
+            this.keepActiveHistory();
+            app.state.activeBoardId = null;
+            app.switchToBoard(restored.id);
+            app.notifyProjectChanged();
+            this.close();
+        } catch (e) {
+            console.error(e);
+            alert("Could not restore the board: " + e.message);
+        }
+    }
+
+    /**
+     * @method keepActiveHistory
+     * @description Stores the undo/redo stacks of the board on screen with the other boards' ones,
+     * before it is left without `switchToBoard` writing its elements back.
+     */
+    keepActiveHistory() {
+        const app = window.flux;
+        const id = app.state.activeBoardId;
+        if (id === null || !app.whiteboard) return;
+        const history = app.whiteboard.history;
+        app.boardHistories.set(id, { undoStack: history.undoStack, redoStack: history.redoStack });
+    }
+
+    async restoreProject() {
+        const app = window.flux;
+        const snapshot = this.selected;
+        if (!snapshot) return;
+
+        const when = new Date(snapshot.createdAt).toLocaleString();
+        if (!confirm(`Restore the whole project as it was on ${when}?\nThe current project is saved as a snapshot first.`)) return;
+
+        try {
+            await this.take("Before restoring the project");
+            const restored = JSON.parse(JSON.stringify(snapshot.project));
+            for (const board of restored.boards) await this.loadAssets(board.elements);
+
+            const activeId = app.state.activeBoardId;
+            app.project = { ...restored, id: app.project.id };
+            this.keepActiveHistory();
+            app.state.activeBoardId = null;
+            const board = app.project.boards.find(b => b.id === activeId) || app.project.boards[0];
+            app.switchToBoard(board.id);
+            app.updateTitle();
+            app.notifyProjectChanged();
+            this.close();
+        } catch (e) {
+            console.error(e);
+            alert("Could not restore the project: " + e.message);
+        }
+    }
+}
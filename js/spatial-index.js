@@ -0,0 +1,150 @@
+/**
+ * @class FluxSpatialIndex
+ * @description Uniform grid (spatial hash) over the elements of a board, so hit-testing,
+ * marquee selection and viewport culling only look at the elements near an area.
+ * - Built lazily from the elements array: another array or another length triggers a rebuild
+ *   (covers loadState, undo/redo, deletions and every element pushed)
+ * - Elements changed in place (dragged, resized, drawn) must be reported with `update`
+ * - Query results keep the order of the array (drawing order, top-most last)
+ */
+class FluxSpatialIndex {
+    /**
+     * @param {Function} getBounds - element -> { minX, minY, maxX, maxY } in world units.
+     * @param {number} [cellSize=512] - Cell size in world units.
+     */
+    constructor(getBounds, cellSize = 512) {
+        this.getBounds = getBounds;
+        this.cellSize = cellSize;
+
+        // Elements covering more cells than this are kept aside and always tested
+        this.maxCellsPerElement = 256;
+
+        this.cells = new Map();    // "cx,cy" -> Set of elements
+        this.entries = new Map();  // element -> { bounds, keys, order }
+        this.large = new Set();    // Huge (or invalid) elements, outside the grid
+        this.dirty = new Set();    // Elements changed in place since the last query
+
+        this.source = null;        // Array the index was built from
+        this.length = 0;
+    }
+
+    /**
+     * @method update
+     * @description Marks an element whose geometry changed in place (re-indexed on next query).
+     */
+    update(el) {
+        this.dirty.add(el);
+    }
+
+    /**
+     * @method getIndexedBounds
+     * @description Bounds of an element when it was last indexed (where it was drawn), or null.
+     */
+    getIndexedBounds(el) {
+        const entry = this.entries.get(el);
+        return entry ? entry.bounds : null;
+    }
+
+    /**
+     * @method sync
+     * @description Brings the index up to date with the elements array.
+     */
+    sync(elements) {
+        if (elements !== this.source || elements.length !== this.length) {
+            this.rebuild(elements);
+        } else {
+            this.dirty.forEach(el => {
+                const entry = this.entries.get(el);
+                if (!entry) return;
+                this.remove(el);
+                this.insert(el, entry.order);
+            });
+        }
+        this.dirty.clear();
+    }
+
+    rebuild(elements) {
+        this.cells.clear();
+        this.entries.clear();
+        this.large.clear();
+        elements.forEach((el, i) => this.insert(el, i));
+        this.source = elements;
+        this.length = elements.length;
+    }
+
+    insert(el, order) {
+        const bounds = this.getBounds(el);
+        const entry = { bounds, keys: [], order };
+        this.entries.set(el, entry);
+
+        const range = this.getCellRange(bounds);
+        if (!range || range.count > this.maxCellsPerElement) {
+            this.large.add(el);
+            return;
+        }
+        for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+            for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+                const key = `${cx},${cy}`;
+                if (!this.cells.has(key)) this.cells.set(key, new Set());
+                this.cells.get(key).add(el);
+                entry.keys.push(key);
+            }
+        }
+    }
+
+    remove(el) {
+        const entry = this.entries.get(el);
+        if (!entry) return;
+        entry.keys.forEach(key => {
+            const cell = this.cells.get(key);
+            cell.delete(el);
+            if (cell.size === 0) this.cells.delete(key);
+        });
+        this.large.delete(el);
+        this.entries.delete(el);
+    }
+
+    /**
+     * @method getCellRange
+     * @returns {?Object} Cells covered by the bounds, or null if they are not finite.
+     */
+    getCellRange(b) {
+        if (![b.minX, b.minY, b.maxX, b.maxY].every(Number.isFinite)) return null;
+        const range = {
+            minCX: Math.floor(b.minX / this.cellSize), minCY: Math.floor(b.minY / this.cellSize),
+            maxCX: Math.floor(b.maxX / this.cellSize), maxCY: Math.floor(b.maxY / this.cellSize)
+        };
+        range.count = (range.maxCX - range.minCX + 1) * (range.maxCY - range.minCY + 1);
+        return range;
+    }
+
+    /**
+     * @method query
+     * @description Elements whose bounds intersect a world-space rectangle, in array order.
+     * @param {Object} rect - { minX, minY, maxX, maxY }
+     */
+    query(rect) {
+        const found = new Set(this.large);
+        const range = this.getCellRange(rect);
+
+        if (!range || range.count > this.cells.size) {
+            // Zoomed far out: cheaper to test every element than to visit empty cells
+            this.entries.forEach((entry, el) => found.add(el));
+        } else {
+            for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+                for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+                    const cell = this.cells.get(`${cx},${cy}`);
+                    if (cell) cell.forEach(el => found.add(el));
+                }
+            }
+        }
+
+        const result = [];
+        found.forEach(el => {
+            const b = this.entries.get(el).bounds;
+            const isInvalid = !this.getCellRange(b);
+            if (isInvalid || !(b.maxX < rect.minX || b.minX > rect.maxX || b.maxY < rect.minY || b.minY > rect.maxY)) result.push(el);
+        });
+        return result.sort((a, b) => this.entries.get(a).order - this.entries.get(b).order);
+    }
+}
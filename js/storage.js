@@ -0,0 +1,237 @@
+/**
+ * @class FluxStorage
+ * @description IndexedDB persistence layer for Flux projects.
+ * Features:
+ * - One record per project (metadata + serialized boards)
+ * - Binary assets (images, PDFs) stored once as Blobs, keyed by content hash
+ * - Project snapshots (version history), indexed by project
+ * - Board templates saved by the user
+ * - Asset garbage collection when projects, snapshots or templates are deleted
+ */
+class FluxStorage {
+    constructor() {
+        this.dbName = 'flux-workspace';
+        this.dbVersion = 3;
+        this.db = null;
+
+        // Resolves once the database is open (rejects if IndexedDB is unavailable)
+        this.ready = this.open();
+    }
+
+    /**
+     * @method open
+     * @description Opens (and upgrades if needed) the IndexedDB database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB is not supported in this browser."));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('projects')) db.createObjectStore('projects', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('assets')) db.createObjectStore('assets', { keyPath: 'hash' });
+                // v2: version history
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    db.createObjectStore('snapshots', { keyPath: 'id' }).createIndex('projectId', 'projectId');
+                }
+                // v3: board templates
+                if (!db.objectStoreNames.contains('templates')) db.createObjectStore('templates', { keyPath: 'id' });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema: let it proceed
+                this.db.onversionchange = () => this.db.close();
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @method run
+     * @description Runs `fn` inside a transaction and resolves when the transaction completes.
+     * @param {string|string[]} storeNames - Object stores involved.
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+     * @param {Function} fn - Receives the transaction; its return value (or the
+     *                        `.result` of a returned IDBRequest) is resolved.
+     */
+    async run(storeNames, mode, fn) {
+        const db = await this.ready;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const output = fn(tx);
+            tx.oncomplete = () => resolve(output instanceof IDBRequest ? output.result : output);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // --- PROJECTS ---
+
+    /**
+     * @method listProjects
+     * @description Returns lightweight metadata of all stored projects, most recent first.
+     */
+    async listProjects() {
+        const records = await this.run('projects', 'readonly', tx => tx.objectStore('projects').getAll());
+        return records
+            .map(r => ({ id: r.id, name: r.name, updatedAt: r.updatedAt, boardCount: r.project.boards.length }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async loadProject(id) {
+        return this.run('projects', 'readonly', tx => tx.objectStore('projects').get(id));
+    }
+
+    /**
+     * @method saveProject
+     * @description Writes a project record and the assets it references that are not stored yet in
+     * one transaction, so an asset prune never runs between the two.
+     * @param {Object} record - { id, name, updatedAt, project, assets: string[] }
+     * @param {Function} [getBlob] - hash -> Blob (or null) of the assets to store.
+     */
+    async saveProject(record, getBlob = null) {
+        return this.run(['projects', 'assets'], 'readwrite', tx => {
+            const assets = tx.objectStore('assets');
+            if (getBlob) (record.assets || []).forEach(hash => {
+                const blob = getBlob(hash);
+                if (!blob) return;
+                const keyReq = assets.getKey(hash);
+                keyReq.onsuccess = () => { if (keyReq.result === undefined) assets.put({ hash, blob }); };
+            });
+            tx.objectStore('projects').put(record);
+        });
+    }
+
+    async renameProject(id, name) {
+        return this.run('projects', 'readwrite', tx => {
+            const store = tx.objectStore('projects');
+            const req = store.get(id);
+            req.onsuccess = () => {
+                const record = req.result;
+                if (!record) return;
+                record.name = name;
+                record.project.name = name;
+                store.put(record);
+            };
+        });
+    }
+
+    /**
+     * @method deleteProject
+     * @description Removes a project, its snapshots and every asset nothing else references.
+     */
+    async deleteProject(id) {
+        await this.run(['projects', 'snapshots'], 'readwrite', tx => {
+            tx.objectStore('projects').delete(id);
+            const snapshots = tx.objectStore('snapshots');
+            const keysReq = snapshots.index('projectId').getAllKeys(id);
+            keysReq.onsuccess = () => keysReq.result.forEach(key => snapshots.delete(key));
+        });
+        await this.pruneAssets();
+    }
+
+    // --- SNAPSHOTS ---
+
+    /**
+     * @method listSnapshots
+     * @description Returns the snapshots of a project (with their data), oldest first.
+     */
+    async listSnapshots(projectId) {
+        const records = await this.run('snapshots', 'readonly', tx => tx.objectStore('snapshots').index('projectId').getAll(projectId));
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * @method saveSnapshot
+     * @param {Object} record - { id, projectId, name, auto, createdAt, project, assets: string[] }
+     */
+    async saveSnapshot(record) {
+        return this.run('snapshots', 'readwrite', tx => { tx.objectStore('snapshots').put(record); });
+    }
+
+    async deleteSnapshots(ids) {
+        await this.run('snapshots', 'readwrite', tx => {
+            const store = tx.objectStore('snapshots');
+            ids.forEach(id => store.delete(id));
+        });
+        await this.pruneAssets();
+    }
+
+    // --- TEMPLATES ---
+
+    /**
+     * @method listTemplates
+     * @description Returns the user's board templates, oldest first.
+     */
+    async listTemplates() {
+        const records = await this.run('templates', 'readonly', tx => tx.objectStore('templates').getAll());
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * @method saveTemplate
+     * @param {Object} record - { id, name, createdAt, width, height, elements, assets: string[] }
+     */
+    async saveTemplate(record) {
+        return this.run('templates', 'readwrite', tx => { tx.objectStore('templates').put(record); });
+    }
+
+    async deleteTemplate(id) {
+        await this.run('templates', 'readwrite', tx => { tx.objectStore('templates').delete(id); });
+        await this.pruneAssets();
+    }
+
+    // --- ASSETS ---
+
+    async getAsset(hash) {
+        const record = await this.run('assets', 'readonly', tx => tx.objectStore('assets').get(hash));
+        return record ? record.blob : null;
+    }
+
+    /**
+     * @method pruneAssets
+     * @description Deletes assets that are not referenced by any stored project, snapshot or template.
+     */
+    async pruneAssets() {
+        return this.run(['projects', 'snapshots', 'templates', 'assets'], 'readwrite', tx => {
+            const used = new Set();
+            const collect = (req) => req.result.forEach(r => (r.assets || []).forEach(h => used.add(h)));
+
+            const projectsReq = tx.objectStore('projects').getAll();
+            projectsReq.onsuccess = () => {
+                collect(projectsReq);
+                const snapshotsReq = tx.objectStore('snapshots').getAll();
+                snapshotsReq.onsuccess = () => {
+                    collect(snapshotsReq);
+                    const templatesReq = tx.objectStore('templates').getAll();
+                    templatesReq.onsuccess = () => {
+                        collect(templatesReq);
+                        const assets = tx.objectStore('assets');
+                        const keysReq = assets.getAllKeys();
+                        keysReq.onsuccess = () => keysReq.result.forEach(hash => { if (!used.has(hash)) assets.delete(hash); });
+                    };
+                };
+            };
+        });
+    }
+
+    /**
+     * @method destroy
+     * @description Deletes the whole database (used by the hard reset).
+     */
+    destroy() {
+        if (this.db) this.db.close();
+        return new Promise((resolve) => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = request.onerror = request.onblocked = () => resolve();
+        });
+    }
+}
@@ -0,0 +1,287 @@
+/**
+ * @class FluxTemplates
+ * @description Board templates and the "New Board" picker of the library.
+ * Features:
+ * - Built-in layouts (Cornell notes, weekly planner, Kanban, lecture notes next to a PDF)
+ * - Any board can be saved as a template (stored in IndexedDB with its images and PDFs)
+ * - Template content is placed in the middle of the current viewport of the new board
+ * Templates store their elements with the top-left corner of their content at (0, 0).
+ */
+class FluxTemplates {
+    constructor() {
+        this.dom = {
+            modal: document.getElementById('template-modal'),
+            btnClose: document.getElementById('btn-close-templates'),
+            builtInList: document.getElementById('template-builtin-list'),
+            userSection: document.getElementById('template-user-section'),
+            userList: document.getElementById('template-user-list'),
+            userEmpty: document.getElementById('template-user-empty')
+        };
+
+        this.builtIns = [
+            { id: 'builtin-cornell', name: "Cornell Notes", description: "Cues, notes and summary", build: () => this.buildCornellNotes() },
+            { id: 'builtin-weekly', name: "Weekly Planner", description: "One column per day", build: () => this.buildWeeklyPlanner() },
+            { id: 'builtin-kanban', name: "Kanban", description: "To Do, In Progress, Done", build: () => this.buildKanban() },
+            { id: 'builtin-lecture', name: "Lecture Notes", description: "Slides on the left, notes on the right", build: () => this.buildLectureNotes() }
+        ];
+
+        // Screen pixels kept free around a template larger than the viewport
+        this.viewportMargin = 40;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.dom.btnClose.addEventListener('click', () => this.close());
+        this.dom.modal.addEventListener('click', (e) => { if (e.target === this.dom.modal) this.close(); });
+    }
+
+    // --- PICKER ---
+
+    async open() {
+        this.dom.builtInList.innerHTML = '';
+        this.dom.builtInList.appendChild(this.createCard("Blank Board", "Start from scratch", () => {
+            this.close();
+            window.flux.addNewBoardToProject();
+        }));
+        this.builtIns.forEach(template => {
+            this.dom.builtInList.appendChild(this.createCard(template.name, template.description, () => this.apply(template)));
+        });
+
+        this.dom.userSection.classList.toggle('hidden', !window.flux.storage);
+        this.dom.modal.classList.remove('hidden');
+        await this.renderUserTemplates();
+    }
+
+    close() {
+        this.dom.modal.classList.add('hidden');
+    }
+
+    async renderUserTemplates() {
+        const app = window.flux;
+        this.dom.userList.innerHTML = '';
+        if (!app.storage) return;
+
+        let templates = [];
+        try {
+            templates = await app.storage.listTemplates();
+        } catch (e) {
+            console.warn("Flux: Could not load templates.", e);
+        }
+        this.dom.userEmpty.classList.toggle('hidden', templates.length > 0);
+
+        templates.forEach(template => {
+            const count = template.elements.length;
+            const card = this.createCard(template.name, `${count} element${count === 1 ? '' : 's'}`, () => this.apply(template));
+
+            const btnDelete = document.createElement('button');
+            btnDelete.className = 'lib-mini-btn delete danger';
+            btnDelete.title = "Delete Template";
+            btnDelete.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>`;
+            btnDelete.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (!confirm(`Delete the template "${template.name}"?`)) return;
+                await app.storage.deleteTemplate(template.id);
+                this.renderUserTemplates();
+            });
+            card.appendChild(btnDelete);
+
+            this.dom.userList.appendChild(card);
+        });
+    }
+
+    createCard(name, description, onSelect) {
+        const card = document.createElement('div');
+        card.className = 'template-card';
+        card.tabIndex = 0;
+
+        const title = document.createElement('span');
+        title.className = 'template-card-name';
+        title.textContent = name;
+        const meta = document.createElement('small');
+        meta.textContent = description;
+
+        card.append(title, meta);
+        card.addEventListener('click', onSelect);
+        card.addEventListener('keydown', (e) => { if (e.key === 'Enter') onSelect(); });
+        return card;
+    }
+
+    // --- APPLYING A TEMPLATE ---
+
+    /**
+     * @method apply
+     * @description Adds a board built from a template. The new board keeps the current
+     * pan/zoom, with the template content centered in the viewport.
+     */
+    async apply(template) {
+        const app = window.flux;
+        this.close();
+
+        try {
+            const elements = template.build ? template.build() : JSON.parse(JSON.stringify(template.elements));
+            await this.loadAssets(elements);
+
+            const view = { ...app.whiteboard.view };
+            this.placeInViewport(elements, view);
+            app.addNewBoardToProject(template.name, { elements, view });
+        } catch (e) {
+            console.error(e);
+            alert("Could not create a board from this template: " + e.message);
+        }
+    }
+
+    /**
+     * @method placeInViewport
+     * @description Gives the elements fresh IDs and theme colors, and moves them into the viewport:
+     * centered when they fit, otherwise aligned to its top-left corner.
+     */
+    placeInViewport(elements, view) {
+        const app = window.flux;
+        const viewport = app.whiteboard.getViewportSize();
+        const left = -view.offsetX / view.scale;
+        const top = -view.offsetY / view.scale;
+        const width = viewport.width / view.scale;
+        const height = viewport.height / view.scale;
+        const margin = this.viewportMargin / view.scale;
+
+        const bounds = this.getBounds(elements);
+        const dx = (bounds.width <= width - 2 * margin ? left + (width - bounds.width) / 2 : left + margin) - bounds.x;
+        const dy = (bounds.height <= height - 2 * margin ? top + (height - bounds.height) / 2 : top + margin) - bounds.y;
+
+        const defaultColor = document.body.classList.contains('light-mode') ? '#1a1a1d' : '#ffffff';
+        const usedIds = new Set();
+        elements.forEach(el => {
+            el.id = app.schema.generateId(usedIds);
+            if (el.isAutoColor) el.color = defaultColor;
+            if (el.isAutoFill) el.fillColor = defaultColor;
+            app.whiteboard.translateElement(el, dx, dy);
+        });
+    }
+
+    /**
+     * @method loadAssets
+     * @description Brings the images and PDFs of a saved template into the open project.
+     */
+    async loadAssets(elements) {
+        const app = window.flux;
+        for (const el of elements) {
+            if (!el.asset || app.assets.has(el.asset)) continue;
+            const blob = app.storage ? await app.storage.getAsset(el.asset) : null;
+            if (!blob) throw new Error("A file used by this template is missing.");
+            app.assets.set(el.asset, blob);
+        }
+    }
+
+    // --- SAVING A TEMPLATE ---
+
+    /**
+     * @method saveBoard
+     * @description Stores a copy of a board as a user template.
+     */
+    async saveBoard(board) {
+        const app = window.flux;
+        if (!app.storage) {
+            alert("Templates need local storage (IndexedDB), which is not available in this browser.");
+            return;
+        }
+
+        app.saveCurrentBoardState();
+        if (board.elements.length === 0) {
+            alert("This board is empty: there is nothing to save as a template.");
+            return;
+        }
+
+        const name = prompt("Template Name", board.name);
+        if (!name || name.trim() === "") return;
+
+        try {
+            const elements = JSON.parse(JSON.stringify(board.elements));
+            const bounds = this.getBounds(elements);
+            elements.forEach(el => app.whiteboard.translateElement(el, -bounds.x, -bounds.y));
+
+            // Templates reference images and PDFs by hash: make sure they are in IndexedDB
+            await app.persistProject();
+            await app.storage.saveTemplate({
+                id: `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                name: name.trim(),
+                createdAt: Date.now(),
+                width: bounds.width,
+                height: bounds.height,
+                elements,
+                assets: [...new Set(elements.filter(el => el.asset).map(el => el.asset))]
+            });
+            alert(`"${name.trim()}" was saved. Pick it from "New Board" in the library.`);
+        } catch (e) {
+            console.error(e);
+            alert("Could not save the template: " + e.message);
+        }
+    }
+
+    // --- GEOMETRY ---
+
+    getBounds(elements) {
+        const b = window.flux.whiteboard.getElementsBounds(elements);
+        if (!b) return { x: 0, y: 0, width: 0, height: 0 };
+        return { x: b.minX, y: b.minY, width: b.maxX - b.minX, height: b.maxY - b.minY };
+    }
+
+    // --- BUILT-IN LAYOUTS ---
+
+    shape(x, y, width, height, options = {}) {
+        return { type: 'shape', shapeType: 'rect', x, y, width, height, color: null, fillColor: 'transparent', isAutoColor: true, isAutoFill: false, strokeWidth: 2, dashStyle: 'solid', ...options };
+    }
+
+    text(content, x, y, width, height, fontSize = 16) {
+        return { type: 'text', content, x, y, width, height, color: null, isAutoColor: true, fontSize, renderedImage: null };
+    }
+
+    line(x1, y1, x2, y2) {
+        return { type: 'line', p1: { x: x1, y: y1 }, p2: { x: x2, y: y2 }, color: null, isAutoColor: true, width: 2, dashStyle: 'solid', arrowStart: false, arrowEnd: false };
+    }
+
+    buildCornellNotes() {
+        return [
+            this.shape(0, 0, 850, 1100),
+            this.line(0, 140, 850, 140),
+            this.line(250, 140, 250, 900),
+            this.line(0, 900, 850, 900),
+            this.text("# Topic\nName · Date", 20, 20, 810, 100),
+            this.text("**Cues**\n\nQuestions, keywords", 20, 160, 210, 200),
+            this.text("**Notes**\n\n- ", 270, 160, 560, 300),
+            this.text("**Summary**\n\n", 20, 920, 810, 160)
+        ];
+    }
+
+    buildWeeklyPlanner() {
+        const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+        const elements = [this.text("# Week of …", 0, 0, 800, 80)];
+        days.forEach((day, i) => {
+            elements.push(this.shape(i * 240, 100, 240, 640));
+            elements.push(this.text(`**${day}**`, i * 240 + 10, 110, 220, 50));
+        });
+        return elements;
+    }
+
+    buildKanban() {
+        const columns = ["To Do", "In Progress", "Done"];
+        const elements = [this.text("# Project Board", 0, 0, 1040, 80)];
+        columns.forEach((column, i) => {
+            const x = i * 360;
+            elements.push(this.shape(x, 100, 320, 800, { strokeWidth: 3 }));
+            elements.push(this.text(`## ${column}`, x + 20, 110, 280, 60));
+        });
+        elements.push(this.shape(20, 190, 280, 120, { dashStyle: 'dashed' }));
+        elements.push(this.text("**Task**\nShort description", 30, 200, 260, 100));
+        return elements;
+    }
+
+    buildLectureNotes() {
+        return [
+            this.text("# Lecture\nCourse · Date", 0, 0, 1280, 80),
+            this.shape(0, 100, 620, 800, { dashStyle: 'dashed' }),
+            this.text("Place the lecture PDF or slides here", 160, 460, 300, 80),
+            this.text("## Key Points\n\n- \n\n## Definitions\n\n- \n\n## Questions\n\n- ", 680, 100, 600, 800)
+        ];
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * @class FluxThumbnails
+ * @description Board previews for the library, rendered through `renderToCanvas`.
+ * - One cached image per board, valid as long as the board keeps the same `elements` array:
+ *   `saveCurrentBoardState` stores a new array, so saved boards are re-rendered on next display.
+ * - Rendering is lazy: only boards shown in the library are queued, one at a time.
+ * - Theme-colored content is re-rendered when the theme changes.
+ */
+class FluxThumbnails {
+    constructor() {
+        // Thumbnail size in CSS pixels (rendered at device resolution)
+        this.width = 240;
+        this.height = 150;
+
+        this.cache = new Map();  // board id -> { elements, isLight, url }
+        this.queue = [];         // { board, img } waiting to be rendered
+        this.isRendering = false;
+    }
+
+    /**
+     * @method show
+     * @description Displays the thumbnail of a board in `img`, rendering it first if needed.
+     * Its container gets the `loaded` class once there is an image (never for empty boards).
+     */
+    show(board, img) {
+        const cached = this.getCached(board);
+        if (cached) {
+            this.apply(img, cached.url);
+            return;
+        }
+        this.apply(img, null);
+        this.queue = this.queue.filter(job => job.board.id !== board.id);
+        this.queue.push({ board, img });
+        this.processQueue();
+    }
+
+    getCached(board) {
+        const entry = this.cache.get(board.id);
+        const isLight = document.body.classList.contains('light-mode');
+        return entry && entry.elements === board.elements && entry.isLight === isLight ? entry : null;
+    }
+
+    apply(img, url) {
+        if (url) img.src = url;
+        img.parentElement.classList.toggle('loaded', !!url);
+    }
+
+    async processQueue() {
+        if (this.isRendering) return;
+        this.isRendering = true;
+
+        while (this.queue.length > 0) {
+            const { board, img } = this.queue.shift();
+            // The library was re-rendered or closed meanwhile
+            if (!img.isConnected) continue;
+
+            let entry = this.getCached(board);
+            if (!entry) {
+                entry = { elements: board.elements, isLight: document.body.classList.contains('light-mode'), url: null };
+                try {
+                    entry.url = await this.render(board.elements);
+                } catch (e) {
+                    console.warn("Flux: Could not render the thumbnail of", board.name, e);
+                }
+                this.cache.set(board.id, entry);
+            }
+            if (img.isConnected) this.apply(img, entry.url);
+
+            // Let the UI breathe between boards
+            await new Promise(r => setTimeout(r, 0));
+        }
+
+        this.isRendering = false;
+    }
+
+    /**
+     * @method render
+     * @returns {Promise<?string>} PNG data-URL of the elements fitted into the thumbnail, or null if there are none.
+     */
+    async render(elements) {
+        const app = window.flux;
+        if (elements.length === 0 || !app.whiteboard || !app.exporter) return null;
+
+        // Copies: render caches must not be saved with the project
+        const copies = JSON.parse(JSON.stringify(elements));
+        const bounds = app.exporter.getExportBounds(copies, app.exporter.boardMargin);
+
+        // Fit (contain) the content, then center it in a box with the thumbnail's proportions
+        const fit = Math.min(this.width / bounds.width, this.height / bounds.height);
+        const frame = { width: this.width / fit, height: this.height / fit };
+        frame.x = bounds.x - (frame.width - bounds.width) / 2;
+        frame.y = bounds.y - (frame.height - bounds.height) / 2;
+
+        const scale = fit * (window.devicePixelRatio || 1);
+        const canvas = await app.whiteboard.renderToCanvas({ elements: copies, bounds: frame, scale, background: 'theme' });
+        return canvas.toDataURL('image/png');
+    }
+
+    clear() {
+        this.cache.clear();
+        this.queue = [];
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * @class FluxTileLayer
+ * @description Cache of a layer of the board rasterized in square tiles, so panning only
+ * copies bitmaps instead of drawing every element again.
+ * - Tiles are drawn per zoom bucket (half an octave) at the bucket's scale, which is never
+ *   below the view scale: on screen they are only shrunk, never blurred by enlarging
+ * - `invalidate` drops the tiles of an area that changed; `clear` drops everything
+ * - Tiles missing when the frame budget is spent are drawn directly (see `draw`)
+ */
+class FluxTileLayer {
+    /**
+     * @param {Function} drawArea - (ctx, rect, view) draws the content meeting a world-space
+     * rectangle with the given view (world -> ctx pixels, CSS units).
+     * @param {number} [tileSize=512] - Tile size in CSS pixels.
+     */
+    constructor(drawArea, tileSize = 512) {
+        this.drawArea = drawArea;
+        this.tileSize = tileSize;
+
+        this.bleed = 100;         // World units around a tile whose content may reach into it (strokes, arrowheads)
+        this.frameBudget = 8;     // Milliseconds of tile drawing per frame
+        // Bytes of tile bitmaps kept (least recently used are dropped first). Mobile Safari caps the
+        // memory of all canvases together and leaves those over the cap blank.
+        this.memoryBudget = 64 * 1024 * 1024;
+
+        this.tiles = new Map();   // "level:tx,ty" -> { canvas, rect, used }
+        this.pixelRatio = 1;
+        this.frame = 0;
+    }
+
+    /**
+     * @method setPixelRatio
+     * @description Tiles are drawn at device resolution: a new ratio makes them all stale.
+     */
+    setPixelRatio(ratio) {
+        if (ratio === this.pixelRatio) return;
+        this.pixelRatio = ratio;
+        this.clear();
+    }
+
+    clear() {
+        this.tiles.forEach(tile => this.release(tile));
+        this.tiles.clear();
+    }
+
+    /**
+     * @method release
+     * @description Frees the bitmap of a dropped tile now (Safari keeps it until the canvas is collected).
+     */
+    release(tile) {
+        tile.canvas.width = tile.canvas.height = 0;
+    }
+
+    /**
+     * @method getMaxTiles
+     * @description Tiles fitting in the memory budget at the current pixel ratio (4 bytes per pixel).
+     */
+    getMaxTiles() {
+        const side = Math.ceil(this.tileSize * this.pixelRatio);
+        return Math.max(1, Math.floor(this.memoryBudget / (side * side * 4)));
+    }
+
+    /**
+     * @method invalidate
+     * @description Drops the tiles (of every zoom bucket) showing part of a world-space rectangle.
+     */
+    invalidate(rect) {
+        this.tiles.forEach((tile, key) => {
+            const r = tile.rect;
+            const b = this.bleed;
+            if (!(rect.maxX < r.minX - b || rect.minX > r.maxX + b || rect.maxY < r.minY - b || rect.minY > r.maxY + b)) {
+                this.release(tile);
+                this.tiles.delete(key);
+            }
+        });
+    }
+
+    getLevel(scale) {
+        return Math.ceil(Math.log2(scale) * 2) / 2;
+    }
+
+    getTileRect(level, tx, ty) {
+        const size = this.tileSize / Math.pow(2, level);
+        return { minX: tx * size, minY: ty * size, maxX: (tx + 1) * size, maxY: (ty + 1) * size };
+    }
+
+    inflate(rect) {
+        const b = this.bleed;
+        return { minX: rect.minX - b, minY: rect.minY - b, maxX: rect.maxX + b, maxY: rect.maxY + b };
+    }
+
+    renderTile(level, tx, ty) {
+        const scale = Math.pow(2, level);
+        const rect = this.getTileRect(level, tx, ty);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = Math.ceil(this.tileSize * this.pixelRatio);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+        ctx.imageSmoothingEnabled = true;
+        this.drawArea(ctx, this.inflate(rect), { offsetX: -rect.minX * scale, offsetY: -rect.minY * scale, scale });
+
+        const tile = { canvas, rect, used: this.frame };
+        this.tiles.set(`${level}:${tx},${ty}`, tile);
+        return tile;
+    }
+
+    /**
+     * @method draw
+     * @description Composites the tiles covering the viewport onto `ctx`.
+     * @param {Object} view - { offsetX, offsetY, scale } of the screen.
+     * @param {Object} viewport - { width, height } in CSS pixels.
+     * @returns {number} Tiles that were drawn directly for lack of time (the caller should draw another frame).
+     */
+    draw(ctx, view, viewport) {
+        const level = this.getLevel(view.scale);
+        const worldSize = this.tileSize / Math.pow(2, level);
+        const minTX = Math.floor(-view.offsetX / view.scale / worldSize);
+        const minTY = Math.floor(-view.offsetY / view.scale / worldSize);
+        const maxTX = Math.floor((viewport.width - view.offsetX) / view.scale / worldSize);
+        const maxTY = Math.floor((viewport.height - view.offsetY) / view.scale / worldSize);
+
+        this.frame++;
+        const start = performance.now();
+        // Snapped to device pixels, so neighbouring tiles meet without seams
+        const snap = v => Math.round(v * this.pixelRatio) / this.pixelRatio;
+        let missing = 0;
+
+        for (let tx = minTX; tx <= maxTX; tx++) {
+            for (let ty = minTY; ty <= maxTY; ty++) {
+                let tile = this.tiles.get(`${level}:${tx},${ty}`);
+                if (!tile && performance.now() - start < this.frameBudget) tile = this.renderTile(level, tx, ty);
+
+                const rect = tile ? tile.rect : this.getTileRect(level, tx, ty);
+                const x0 = snap(rect.minX * view.scale + view.offsetX), y0 = snap(rect.minY * view.scale + view.offsetY);
+                const x1 = snap(rect.maxX * view.scale + view.offsetX), y1 = snap(rect.maxY * view.scale + view.offsetY);
+
+                if (tile) {
+                    tile.used = this.frame;
+                    ctx.drawImage(tile.canvas, x0, y0, x1 - x0, y1 - y0);
+                } else {
+                    missing++;
+                    ctx.save();
+                    ctx.beginPath();
+                    ctx.rect(x0, y0, x1 - x0, y1 - y0);
+                    ctx.clip();
+                    this.drawArea(ctx, this.inflate(rect), view);
+                    ctx.restore();
+                }
+            }
+        }
+
+        this.evict((maxTX - minTX + 1) * (maxTY - minTY + 1));
+        return missing;
+    }
+
+    /**
+     * @method evict
+     * @description Drops the least recently used tiles beyond the memory budget (never those on screen).
+     */
+    evict(visibleCount) {
+        const limit = Math.max(this.getMaxTiles(), visibleCount);
+        if (this.tiles.size <= limit) return;
+        const keys = [...this.tiles.keys()].sort((a, b) => this.tiles.get(a).used - this.tiles.get(b).used);
+        keys.slice(0, this.tiles.size - limit).forEach(key => {
+            this.release(this.tiles.get(key));
+            this.tiles.delete(key);
+        });
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * @class FluxTransfer
+ * @description "Move/Copy to Board" for the selected elements.
+ * - Elements keep their layout and are placed in the middle of the target board's last view
+ * - PDF annotations and images come along (assets are shared by all boards of a project)
+ * - Both boards get an undo step; moved elements keep their [[links]]
+ */
+class FluxTransfer {
+    constructor() {
+        this.dom = {
+            modal: document.getElementById('transfer-modal'),
+            btnClose: document.getElementById('btn-close-transfer'),
+            btnOpen: document.getElementById('btn-transfer'),
+            info: document.getElementById('transfer-info'),
+            list: document.getElementById('transfer-board-list'),
+            modeBtns: document.querySelectorAll('[data-transfer-mode]')
+        };
+
+        this.mode = 'move'; // 'move' | 'copy'
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.dom.btnOpen.addEventListener('click', () => this.open());
+        this.dom.btnClose.addEventListener('click', () => this.close());
+        this.dom.modal.addEventListener('click', (e) => { if (e.target === this.dom.modal) this.close(); });
+        this.dom.modeBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.transferMode));
+        });
+    }
+
+    // --- PICKER ---
+
+    open() {
+        const app = window.flux;
+        const count = app.whiteboard.interaction.selectedElements.length;
+        if (count === 0) return;
+
+        const boards = app.project.boards.filter(b => b.id !== app.state.activeBoardId);
+        if (boards.length === 0) {
+            alert("This project has no other board yet. Create one in the library first.");
+            return;
+        }
+
+        this.setMode('move');
+        this.dom.info.textContent = `${count} selected element${count === 1 ? '' : 's'}`;
+        this.dom.list.innerHTML = '';
+        boards.forEach(board => {
+            const item = document.createElement('button');
+            item.className = 'history-item';
+            const name = document.createElement('span');
+            name.className = 'history-item-name';
+            name.textContent = board.name;
+            const meta = document.createElement('small');
+            meta.textContent = `${board.elements.length} element${board.elements.length === 1 ? '' : 's'}`;
+            item.append(name, meta);
+            item.addEventListener('click', () => {
+                this.close();
+                this.transfer(board, this.mode);
+            });
+            this.dom.list.appendChild(item);
+        });
+        this.dom.modal.classList.remove('hidden');
+    }
+
+    close() {
+        this.dom.modal.classList.add('hidden');
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.dom.modeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.transferMode === mode));
+    }
+
+    // --- TRANSFER ---
+
+    /**
+     * @method transfer
+     * @description Moves or copies the selected elements of the active board to `target`.
+     * @returns {Map} String of each old element id -> id on the target board.
+     */
+    transfer(target, mode) {
+        const app = window.flux;
+        const wb = app.whiteboard;
+        const source = app.project.boards.find(b => b.id === app.state.activeBoardId);
+        const selected = wb.interaction.selectedElements.slice();
+        if (!source || selected.length === 0) return new Map();
+
+        // Copies without render caches, like `getState`
+        const elements = selected.map(el => {
+            const copy = { ...el };
+            delete copy.renderedImage;
+            delete copy.imgObj;
+            return JSON.parse(JSON.stringify(copy));
+        });
+
+        // Moved elements keep their id unless the target already uses it. Copies always get a
+        // new one: PDF annotations are saved back to every element with the same id.
+        const usedIds = new Set(target.elements.map(el => el.id));
+        const idMap = new Map();
+        elements.forEach(el => {
+            const oldId = el.id;
+            if (mode === 'copy' || usedIds.has(el.id)) el.id = app.schema.generateId(usedIds);
+            else usedIds.add(el.id);
+            idMap.set(String(oldId), el.id);
+            if (el.type === 'text' || el.type === 'pdf') el.renderedImage = null;
+        });
+
+        this.placeInView(elements, target.view);
+
+        app.saveBoardHistory(target);
+        // A new array, so the library thumbnail is rendered again
+        target.elements = [...target.elements, ...elements];
+        target.modifiedAt = Date.now();
+
+        if (mode === 'move') {
+            wb.saveHistory();
+            wb.elements = wb.elements.filter(el => !selected.includes(el));
+            wb.interaction.selectedElements = [];
+            if (app.links) app.links.moveElements(source, target, idMap);
+            wb.render();
+            app.updateEditBar();
+        }
+
+        app.renderLibrary();
+        app.notifyProjectChanged(mode === 'move');
+        return idMap;
+    }
+
+    /**
+     * @method placeInView
+     * @description Centers the elements (as a group) in the viewport of a saved board view.
+     */
+    placeInView(elements, view) {
+        const wb = window.flux.whiteboard;
+        const b = wb.getElementsBounds(elements);
+        if (!b || !view) return;
+
+        const viewport = wb.getViewportSize();
+        const centerX = (viewport.width / 2 - view.offsetX) / view.scale;
+        const centerY = (viewport.height / 2 - view.offsetY) / view.scale;
+        const dx = centerX - (b.minX + b.maxX) / 2;
+        const dy = centerY - (b.minY + b.maxY) / 2;
+        elements.forEach(el => wb.translateElement(el, dx, dy));
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * @class FluxTrash
+ * @description Project-level trash for deleted boards and elements.
+ * - Deleted items are kept in `project.trash` (saved with the project, images and PDFs included)
+ * - The trash view of the library restores them or deletes them permanently
+ * - Items older than the retention period (Settings) are purged when a project is opened
+ * Entries: { id, type: 'board', deletedAt, board } or { id, type: 'elements', deletedAt, boardId, boardName, elements }.
+ */
+class FluxTrash {
+    constructor() {
+        this.dom = {
+            modal: document.getElementById('trash-modal'),
+            btnClose: document.getElementById('btn-close-trash'),
+            btnOpen: document.getElementById('btn-lib-trash'),
+            btnEmpty: document.getElementById('btn-empty-trash'),
+            list: document.getElementById('trash-list'),
+            empty: document.getElementById('trash-empty'),
+            retention: document.getElementById('trash-retention'),
+            retentionBtns: document.querySelectorAll('[data-trash-days]')
+        };
+
+        // Days items stay in the trash (0 = until emptied)
+        const days = parseInt(localStorage.getItem('flux-trash-days'), 10);
+        this.retentionDays = Number.isInteger(days) && days >= 0 ? days : 30;
+
+        this.bindEvents();
+        this.syncRetentionUI();
+    }
+
+    bindEvents() {
+        this.dom.btnOpen.addEventListener('click', () => this.open());
+        this.dom.btnClose.addEventListener('click', () => this.close());
+        this.dom.modal.addEventListener('click', (e) => { if (e.target === this.dom.modal) this.close(); });
+        this.dom.btnEmpty.addEventListener('click', () => this.empty());
+        this.dom.retentionBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setRetention(parseInt(btn.dataset.trashDays, 10)));
+        });
+    }
+
+    getEntries() {
+        const app = window.flux;
+        if (!Array.isArray(app.project.trash)) app.project.trash = [];
+        return app.project.trash;
+    }
+
+    createId() {
+        return `trash-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // --- DELETING ---
+
+    /**
+     * @method trashBoard
+     * @description Removes a board from the project and keeps it in the trash.
+     */
+    trashBoard(board) {
+        const app = window.flux;
+        if (board.id === app.state.activeBoardId) app.saveCurrentBoardState();
+
+        app.project.boards = app.project.boards.filter(b => b !== board);
+        this.getEntries().push({ id: this.createId(), type: 'board', deletedAt: Date.now(), board });
+    }
+
+    /**
+     * @method trashElements
+     * @description Keeps copies of elements deleted from the active board.
+     */
+    trashElements(elements) {
+        const app = window.flux;
+        if (!app || elements.length === 0) return;
+        const board = app.project.boards.find(b => b.id === app.state.activeBoardId);
+        if (!board) return;
+
+        // Without render caches, like `getState`
+        const copies = elements.map(el => {
+            const copy = { ...el };
+            delete copy.renderedImage;
+            delete copy.imgObj;
+            return JSON.parse(JSON.stringify(copy));
+        });
+        this.getEntries().push({ id: this.createId(), type: 'elements', deletedAt: Date.now(), boardId: board.id, boardName: board.name, elements: copies });
+        if (this.isOpen()) this.render();
+    }
+
+    // --- RESTORING ---
+
+    restore(entry) {
+        const app = window.flux;
+        if (entry.type === 'board') this.restoreBoard(entry.board);
+        else this.restoreElements(entry);
+
+        app.project.trash = this.getEntries().filter(e => e !== entry);
+        app.renderLibrary();
+        app.notifyProjectChanged();
+        this.render();
+    }
+
+    restoreBoard(board) {
+        const app = window.flux;
+        if (app.project.boards.some(b => b.id === board.id)) {
+            board.id = app.schema.generateId(new Set(app.project.boards.map(b => b.id)));
+        }
+        const oldName = board.name;
+        board.name = app.getUniqueBoardName(board.name);
+        app.project.boards.push(board);
+        // Its links to itself follow the new name
+        if (app.links && board.name !== oldName) app.links.remapBoards([board], new Map([[oldName.toLowerCase(), board.name]]), new Map());
+    }
+
+    /**
+     * @method restoreElements
+     * @description Puts elements back on their board, or on the active board if it is gone.
+     * Elements already there (e.g. brought back by Undo) are skipped.
+     */
+    restoreElements(entry) {
+        const app = window.flux;
+        const original = app.project.boards.find(b => b.id === entry.boardId);
+        const board = original || app.project.boards.find(b => b.id === app.state.activeBoardId);
+        if (!board) return;
+
+        const isActive = board.id === app.state.activeBoardId;
+        const current = isActive ? app.whiteboard.elements : board.elements;
+        const usedIds = new Set(current.map(el => el.id));
+
+        const restored = entry.elements.filter(el => !(original && usedIds.has(el.id))).map(el => {
+            const copy = JSON.parse(JSON.stringify(el));
+            if (usedIds.has(copy.id)) copy.id = app.schema.generateId(usedIds);
+            usedIds.add(copy.id);
+            if (copy.type === 'text' || copy.type === 'pdf') copy.renderedImage = null;
+            return copy;
+        });
+        if (restored.length === 0) return;
+
+        if (isActive) {
+            app.whiteboard.saveHistory();
+            app.whiteboard.elements.push(...restored);
+            app.whiteboard.render();
+        } else {
+            // A new array, so the library thumbnail is rendered again
+            board.elements = [...board.elements, ...restored];
+        }
+        board.modifiedAt = Date.now();
+
+        if (!original) alert(`"${entry.boardName}" no longer exists: the elements were restored on "${board.name}".`);
+    }
+
+    // --- DELETING PERMANENTLY ---
+
+    deleteForever(entry) {
+        if (!confirm(`Permanently delete ${this.describe(entry)}? This cannot be undone.`)) return;
+        window.flux.project.trash = this.getEntries().filter(e => e !== entry);
+        window.flux.notifyProjectChanged();
+        this.render();
+    }
+
+    empty() {
+        const count = this.getEntries().length;
+        if (count === 0) return;
+        if (!confirm(`Permanently delete the ${count} item${count === 1 ? '' : 's'} in the trash? This cannot be undone.`)) return;
+        window.flux.project.trash = [];
+        window.flux.notifyProjectChanged();
+        this.render();
+    }
+
+    /**
+     * @method purge
+     * @description Removes the items older than the retention period.
+     * @returns {number} Number of items removed.
+     */
+    purge() {
+        const app = window.flux;
+        const entries = this.getEntries();
+        if (this.retentionDays === 0) return 0;
+
+        const limit = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        app.project.trash = entries.filter(entry => entry.deletedAt >= limit);
+        const removed = entries.length - app.project.trash.length;
+        // Not a change made by the user: stored locally without marking the project unsaved
+        if (removed > 0) app.persistProject();
+        return removed;
+    }
+
+    setRetention(days) {
+        this.retentionDays = days;
+        localStorage.setItem('flux-trash-days', String(days));
+        this.syncRetentionUI();
+        if (window.flux.state.boardActive) this.purge();
+    }
+
+    syncRetentionUI() {
+        this.dom.retentionBtns.forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.trashDays, 10) === this.retentionDays);
+        });
+    }
+
+    // --- TRASH VIEW ---
+
+    open() {
+        window.flux.dom.libPopup.classList.add('hidden');
+        this.purge();
+        this.render();
+        this.dom.modal.classList.remove('hidden');
+    }
+
+    close() {
+        this.dom.modal.classList.add('hidden');
+    }
+
+    isOpen() {
+        return !this.dom.modal.classList.contains('hidden');
+    }
+
+    render() {
+        const entries = this.getEntries();
+        this.dom.list.innerHTML = '';
+        this.dom.empty.classList.toggle('hidden', entries.length > 0);
+        this.dom.btnEmpty.disabled = entries.length === 0;
+        this.dom.retention.textContent = this.retentionDays > 0
+            ? `Items are deleted permanently after ${this.retentionDays} days.`
+            : "Items stay here until you empty the trash.";
+
+        // Most recently deleted first
+        entries.slice().sort((a, b) => b.deletedAt - a.deletedAt).forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'trash-item';
+
+            const info = document.createElement('div');
+            info.className = 'trash-item-info';
+            const name = document.createElement('span');
+            name.className = 'trash-item-name';
+            name.textContent = this.getTitle(entry);
+            const meta = document.createElement('small');
+            meta.textContent = `${this.getSubtitle(entry)} · deleted ${new Date(entry.deletedAt).toLocaleString()}`;
+            info.append(name, meta);
+
+            const btnRestore = document.createElement('button');
+            btnRestore.className = 'flux-btn';
+            btnRestore.textContent = "Restore";
+            btnRestore.addEventListener('click', () => this.restore(entry));
+
+            const btnDelete = document.createElement('button');
+            btnDelete.className = 'lib-mini-btn delete danger';
+            btnDelete.title = "Delete Permanently";
+            btnDelete.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>`;
+            btnDelete.addEventListener('click', () => this.deleteForever(entry));
+
+            item.append(info, btnRestore, btnDelete);
+            this.dom.list.appendChild(item);
+        });
+    }
+
+    getTitle(entry) {
+        if (entry.type === 'board') return entry.board.name;
+        if (entry.elements.length > 1) return `${entry.elements.length} elements`;
+
+        const el = entry.elements[0];
+        if (el.type === 'text') return el.content.trim().split('\n')[0].slice(0, 60) || "Empty text";
+        if (el.type === 'pdf') return el.name || "PDF";
+        return { line: "Line", pen: "Drawing", shape: "Shape", image: "Image" }[el.type] || "Element";
+    }
+
+    getSubtitle(entry) {
+        if (entry.type === 'board') {
+            const count = entry.board.elements.length;
+            return `Board · ${count} element${count === 1 ? '' : 's'}`;
+        }
+        return `From "${entry.boardName}"`;
+    }
+
+    describe(entry) {
+        return entry.type === 'board' ? `the board "${entry.board.name}"` : `"${this.getTitle(entry)}"`;
+    }
+}
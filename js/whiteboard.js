@@ -27,7 +27,13 @@ class FluxWhiteboard {
             handleRadius: 10,     // Size of resize handles
             handleHitThreshold: 35,
             hitThreshold: 25,      // Tolerance for clicking lines/objects
-            lodThreshold: 0.20
+            lodThreshold: 0.20,
+            stabilization: 0,     // 0 = off; up to 1, how far the pen trails behind the pointer (steadier strokes)
+            maxPressureFactor: 2.55, // Widest pressure stroke relative to its stroke width (see getPointWidth)
+            eraserMode: 'stroke', // 'stroke' removes whole strokes and lines, 'partial' cuts pen strokes (see eraseAlong)
+            eraserWidth: 3,       // Stroke width setting the eraser is sized by
+            eraserSizeFactor: 4,  // Eraser diameter relative to that stroke width
+            linkColor: '#3d8bfd'  // Board links in text (readable on both themes)
         };
 
         // Viewport State (Camera)
@@ -52,12 +58,16 @@ class FluxWhiteboard {
             lastMouseY: 0,
             dragLastWorldPos: { x: 0, y: 0 }, 
             
-            // Touch specific
-            initialTouchDistance: 0, 
-            initialTouchCenter: { x: 0, y: 0 },
-            
             // Double click detection
             lastClickTime: 0,
+
+            // Pointer position of the stroke being drawn, before stabilization
+            lastRawPoint: null,
+
+            // Eraser: gesture in progress, last position (its outline follows the pointer), whether the gesture changed the board
+            isErasing: false,
+            eraserPos: null,
+            hasErased: false,
             
             // Proportional scaling data snapshot
             initialWidth: 0, 
@@ -75,27 +85,58 @@ class FluxWhiteboard {
 
         // The core data model
         this.elements = [];
+
+        // Grid of element bounds for hit-testing and culling (see FluxSpatialIndex)
+        this.index = new FluxSpatialIndex(el => this.getHitBounds(el));
+
+        // Unselected elements cached in tiles; selection and the stroke being drawn are drawn on top every frame
+        this.staticLayer = new FluxTileLayer((ctx, rect, view) => this.drawStaticArea(ctx, rect, view));
+        // What the tiles were drawn from (see syncStaticLayer)
+        this.staticState = { elements: null, length: 0, excluded: new Set() };
+        this.pendingFrame = null;  // Frame requested to finish the missing tiles
+
+        // Grid dots drawn once per zoom level and theme, then only moved while panning (see drawInfiniteGrid)
+        this.gridCache = null;
+
+        // Bounding boxes of pen strokes (element -> { points, count, x0, y0, bounds }, see getPenBounds)
+        this.penBounds = new WeakMap();
+
+        // Smoothed outlines of pen strokes (element -> { key, runs }, see getPenRuns)
+        this.penRuns = new WeakMap();
+
+        // In-flight rasterizations of text/PDF cards and image loads (element -> Promise)
+        this.renderJobs = new WeakMap();
+
+        // Images that could not be loaded (element -> URL tried), not retried until their URL changes
+        this.failedImages = new WeakMap();
+
+        // Boxes of the board links of text elements (element -> { key, regions }, see getLinkAt)
+        this.linkRegions = new WeakMap();
+
+        // Size of the surface being drawn when it is not the screen (offscreen exports)
+        this.renderTarget = null;
+
+        // Mouse, pen and touch input (see FluxPointerInput)
+        this.input = null;
         this.init();
     }
 
     /**
      * @method init
-     * @description Sets up event listeners for mouse, touch, and resize events.
+     * @description Sets up the pointer input (mouse, pen, touch), wheel and resize listeners.
      */
     init() {
         window.addEventListener('resize', () => this.resize());
         
-        // Mouse Events
-        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        window.addEventListener('mouseup', () => this.handleMouseUp());
+        this.input = new FluxPointerInput(this.canvas, {
+            down: (e, panOnly) => this.handleMouseDown(e, panOnly),
+            move: (e) => this.handleMouseMove(e),
+            up: () => this.handleMouseUp(),
+            cancel: () => this.cancelInteraction(),
+            pinch: (factor, center, dx, dy) => this.handlePinch(factor, center, dx, dy)
+        });
         this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
         
-        // Touch Events (Passive false to allow preventing default scrolling)
-        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
-        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-        this.canvas.addEventListener('touchend', () => this.handleTouchEnd());
-        
         this.resize();
     }
 
@@ -147,15 +188,13 @@ class FluxWhiteboard {
     /**
      * @method getPointerPos
      * @description Normalizes pointer coordinates relative to the canvas DOM element.
-     * Handles both MouseEvent and TouchEvent.
+     * @param {PointerEvent|Object} e - Anything with `clientX`/`clientY`.
      */
     getPointerPos(e) {
         const rect = this.canvas.getBoundingClientRect();
-        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
         return {
-            x: clientX - rect.left,
-            y: clientY - rect.top
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top
         };
     }
 
@@ -180,7 +219,7 @@ class FluxWhiteboard {
         // Limit stack size
         if (this.history.undoStack.length > this.history.maxDepth) this.history.undoStack.shift();
         
-        if(window.flux) window.flux.syncHistoryUI();
+        if(window.flux) { window.flux.syncHistoryUI(); window.flux.notifyProjectChanged(true); }
     }
 
     undo() {
@@ -190,7 +229,7 @@ class FluxWhiteboard {
         this.elements = JSON.parse(previousState);
         this.interaction.selectedElements = [];
         this.render();
-        if(window.flux) { window.flux.syncHistoryUI(); window.flux.updateEditBar(); }
+        if(window.flux) { window.flux.syncHistoryUI(); window.flux.updateEditBar(); window.flux.notifyProjectChanged(true); }
     }
 
     redo() {
@@ -200,7 +239,7 @@ class FluxWhiteboard {
         this.elements = JSON.parse(nextState);
         this.interaction.selectedElements = [];
         this.render();
-        if(window.flux) { window.flux.syncHistoryUI(); window.flux.updateEditBar(); }
+        if(window.flux) { window.flux.syncHistoryUI(); window.flux.updateEditBar(); window.flux.notifyProjectChanged(true); }
     }
 
     // --- ELEMENT CREATION METHODS ---
@@ -244,6 +283,52 @@ class FluxWhiteboard {
         this.elements.push(newLine); 
         this.interaction.draggedElement = newLine; 
         this.interaction.isDrawingPath = true;
+        this.interaction.lastRawPoint = null;
+    }
+
+    /**
+     * @method getStrokePoint
+     * @description Point of a pen stroke at a world position. Pens also record their pressure
+     * (`p`, 0-1) and tilt (`tx`/`ty`, degrees); mice and fingers draw with the plain stroke width.
+     */
+    getStrokePoint(e, world) {
+        const point = { x: world.x, y: world.y };
+        if (e.pointerType === 'pen') {
+            point.p = Math.round(e.pressure * 1000) / 1000;
+            if (e.tiltX || e.tiltY) { point.tx = e.tiltX; point.ty = e.tiltY; }
+        }
+        return point;
+    }
+
+    /**
+     * @method addStrokePoint
+     * @description Appends a point to the stroke being drawn. With stabilization the stroke
+     * follows the pointer at a distance, which smooths out hand tremor.
+     */
+    addStrokePoint(el, point) {
+        const raw = { ...point };
+        const last = el.points[el.points.length - 1];
+        const k = this.config.stabilization;
+        if (k > 0 && last) {
+            point.x = last.x + (point.x - last.x) * (1 - k);
+            point.y = last.y + (point.y - last.y) * (1 - k);
+        }
+        this.interaction.lastRawPoint = raw;
+        el.points.push(point);
+    }
+
+    /**
+     * @method finishStroke
+     * @description Stabilized strokes end where the pointer was lifted, not where they trailed behind.
+     * Single taps become a dot.
+     */
+    finishStroke(el) {
+        const raw = this.interaction.lastRawPoint;
+        const last = el.points[el.points.length - 1];
+        if (raw && last && (raw.x !== last.x || raw.y !== last.y)) el.points.push(raw);
+        if (el.points.length === 1) el.points.push({ ...el.points[0] });
+        this.interaction.lastRawPoint = null;
+        this.invalidateElement(el);
     }
 
     addShape(shapeType, color) {
@@ -320,10 +405,15 @@ class FluxWhiteboard {
         if(window.flux) window.flux.updateEditBar();
     }
 
-    addImage(src) {
+    /**
+     * @method addImage
+     * @description Creates an image element referencing a registered asset.
+     * @param {string} asset - Content hash of the image in the project asset store.
+     */
+    addImage(asset) {
         this.saveHistory();
         const center = this.screenToWorld(window.innerWidth / 2, window.innerHeight / 2);
-        const newImg = { id: Date.now(), type: 'image', src, x: center.x - 150, y: center.y - 150, width: 300, height: 300, imgObj: null };
+        const newImg = { id: Date.now(), type: 'image', asset, x: center.x - 150, y: center.y - 150, width: 300, height: 300, imgObj: null };
         
         // Preload image to calculate aspect ratio
         const temp = new Image();
@@ -332,9 +422,10 @@ class FluxWhiteboard {
             if (ratio > 1) newImg.height = newImg.width / ratio;
             else newImg.width = newImg.height * ratio;
             newImg.imgObj = temp;
+            this.invalidateElement(newImg);
             this.render();
         };
-        temp.src = src;
+        temp.src = this.getAssetUrl(newImg);
 
         this.elements.push(newImg);
         this.interaction.selectedElements = [newImg];
@@ -347,8 +438,10 @@ class FluxWhiteboard {
      * @description Creates a PDF element wrapper. 
      * Note: This does NOT render the PDF pages on the board directly to avoid memory issues.
      * It renders a preview card, and opens the full reader on double click.
+     * @param {string} fileName - Name displayed on the card.
+     * @param {string} asset - Content hash of the PDF in the project asset store.
      */
-    addPDF(fileName, fileUrl) {
+    addPDF(fileName, asset) {
         this.saveHistory();
         const center = this.screenToWorld(window.innerWidth / 2, window.innerHeight / 2);
         
@@ -356,7 +449,7 @@ class FluxWhiteboard {
             id: Date.now(),
             type: 'pdf',
             name: fileName,
-            src: fileUrl, 
+            asset, 
             x: center.x - 155, 
             y: center.y - 45,  
             width: 310,
@@ -408,13 +501,113 @@ class FluxWhiteboard {
     }
 
     deleteSelected() {
+        if (this.interaction.selectedElements.length === 0) return;
         this.saveHistory();
+        if (window.flux && window.flux.trash) window.flux.trash.trashElements(this.interaction.selectedElements);
         this.elements = this.elements.filter(el => !this.interaction.selectedElements.includes(el));
         this.interaction.selectedElements = []; 
         this.render(); 
         if(window.flux) window.flux.updateEditBar();
     }
 
+    // --- ERASER ---
+
+    getEraserRadius() {
+        return this.config.eraserWidth * this.config.eraserSizeFactor / 2;
+    }
+
+    /**
+     * @method eraseAlong
+     * @description Erases the ink under the eraser moving from `from` to `to`. In 'stroke' mode every
+     * pen stroke and line it touches is removed; in 'partial' mode pen strokes are cut where it passes
+     * (the pieces become separate strokes) and lines are removed. The first change of a gesture
+     * saves the undo step.
+     * @returns {boolean} Whether anything was erased.
+     */
+    eraseAlong(from, to) {
+        const radius = this.getEraserRadius();
+        const area = {
+            minX: Math.min(from.x, to.x) - radius, minY: Math.min(from.y, to.y) - radius,
+            maxX: Math.max(from.x, to.x) + radius, maxY: Math.max(from.y, to.y) + radius
+        };
+
+        // Element -> arrays of points left of it (none: removed)
+        const cuts = new Map();
+        this.queryElements(area).forEach(el => {
+            if (el.type === 'line') {
+                if (this.getDistSegmentToSegment(el.p1, el.p2, from, to) < radius + (el.width || 3) / 2) cuts.set(el, []);
+            } else if (el.type === 'pen') {
+                const pieces = this.cutStroke(el, from, to, radius);
+                if (pieces) cuts.set(el, this.config.eraserMode === 'partial' ? pieces : []);
+            }
+        });
+        if (cuts.size === 0) return false;
+
+        if (!this.interaction.hasErased) {
+            this.saveHistory();
+            this.interaction.hasErased = true;
+        }
+
+        // The first piece stays the original element (keeps its id and links to it)
+        const replacements = new Map();
+        cuts.forEach((pieces, el) => {
+            replacements.set(el, pieces.map((points, i) => i === 0 ? Object.assign(el, { points }) : { ...el, id: Date.now() + Math.random(), points }));
+        });
+        this.replaceElements(replacements);
+        return true;
+    }
+
+    /**
+     * @method cutStroke
+     * @description Points of a pen stroke left on either side of the eraser moving from `from` to `to`.
+     * Segments passing near the eraser are resampled first, so the cut follows its edge.
+     * @returns {?Array} Arrays of points (pieces of at least 2 points), or null if the eraser misses the stroke.
+     */
+    cutStroke(el, from, to, radius) {
+        const width = el.width || 3;
+        const reach = pt => radius + this.getPointWidth(width, pt) / 2;
+        const maxReach = radius + width * (this.hasPressure(el) ? this.config.maxPressureFactor : 1) / 2;
+        const step = radius / 2;
+
+        const pieces = [];
+        let current = [];
+        let touched = false;
+        const visit = pt => {
+            if (this.getDistPointToSegment(pt, from, to) < reach(pt)) {
+                touched = true;
+                if (current.length > 1) pieces.push(current);
+                current = [];
+            } else {
+                current.push(pt);
+            }
+        };
+
+        el.points.forEach((pt, i) => {
+            const prev = el.points[i - 1];
+            if (prev && this.getDistSegmentToSegment(prev, pt, from, to) < maxReach) {
+                const n = Math.ceil(Math.hypot(pt.x - prev.x, pt.y - prev.y) / step);
+                for (let k = 1; k < n; k++) visit(this.interpolatePoint(prev, pt, k / n));
+            }
+            visit(pt);
+        });
+
+        if (!touched) return null;
+        if (current.length > 1) pieces.push(current);
+        return pieces;
+    }
+
+    /**
+     * @method interpolatePoint
+     * @description Point at `t` (0-1) between two stroke points, pressure and tilt included.
+     */
+    interpolatePoint(a, b, t) {
+        const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        ['p', 'tx', 'ty'].forEach(key => {
+            if (a[key] !== undefined && b[key] !== undefined) point[key] = a[key] + (b[key] - a[key]) * t;
+        });
+        return point;
+    }
+
     /**
      * @method updateThemeColors
      * @description Switches auto-colored elements between light/dark values.
@@ -425,7 +618,7 @@ class FluxWhiteboard {
             if (el.isAutoColor) el.color = newColor; 
             if (el.isAutoFill) el.fillColor = newColor; 
         });
-        this.render();
+        this.invalidateAll();
     }
 
     // --- MOUSE & TOUCH EVENT HANDLERS ---
@@ -458,19 +651,21 @@ class FluxWhiteboard {
         this.view.offsetY = pointer.y - mouseWorld.y * this.view.scale;
     }
 
-    handleMouseDown(e) {
+    /**
+     * @method handleMouseDown
+     * @description Starts a gesture of the mouse, pen or a finger (see FluxPointerInput).
+     * @param {boolean} [panOnly] - Fingers in stylus-only mode only pan.
+     */
+    handleMouseDown(e, panOnly = false) {
         const pos = this.getPointerPos(e);
         const mouse = this.screenToWorld(pos.x, pos.y);
         const tool = window.flux.state.activeTool;
 
-        // 1. PANNING (Middle click or Space+Drag or Pan Tool)
-        const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-        const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-
-        if (e.shiftKey || e.button === 1 || tool === 'pan') {
+        // 1. PANNING (Middle click or Space+Drag or Pan Tool, fingers in stylus-only mode)
+        if (panOnly || e.shiftKey || e.button === 1 || tool === 'pan') {
             this.interaction.isPanning = true; 
-            this.interaction.lastMouseX = clientX;
-            this.interaction.lastMouseY = clientY; 
+            this.interaction.lastMouseX = e.clientX;
+            this.interaction.lastMouseY = e.clientY; 
             this.canvas.classList.add('panning');
             this.render(); 
             return;
@@ -479,8 +674,9 @@ class FluxWhiteboard {
         // 2. DOUBLE CLICK DETECTION
         const now = Date.now();
         if (now - this.interaction.lastClickTime < 300) {
-            for (let i = this.elements.length - 1; i >= 0; i--) {
-                const el = this.elements[i];
+            const candidates = this.getElementsNear(mouse);
+            for (let i = candidates.length - 1; i >= 0; i--) {
+                const el = candidates[i];
                 if (this.isPointInElement(mouse, el) && el.type === 'text') {
                     // Triggers text editing
                     this.canvas.dispatchEvent(new CustomEvent('flux-doubleclick', { detail: { element: el } }));
@@ -496,11 +692,20 @@ class FluxWhiteboard {
             this.interaction.selectedElements = [];
             const isLight = document.body.classList.contains('light-mode');
             this.startPath(isLight ? '#1a1a1d' : '#ffffff');
-            this.interaction.draggedElement.points.push({ x: mouse.x, y: mouse.y });
+            this.addStrokePoint(this.interaction.draggedElement, this.getStrokePoint(e, mouse));
+            this.render(); return;
+        }
+
+        // 4. ERASER
+        if (tool === 'eraser') {
+            this.interaction.isErasing = true;
+            this.interaction.hasErased = false;
+            this.interaction.eraserPos = mouse;
+            this.eraseAlong(mouse, mouse);
             this.render(); return;
         }
 
-        // 4. RESIZE HANDLES
+        // 5. RESIZE HANDLES
         for (const el of this.interaction.selectedElements) {
             const handles = this.getElementHandles(el);
             for (let i = 0; i < handles.length; i++) {
@@ -522,12 +727,13 @@ class FluxWhiteboard {
             }
         }
 
-        // 5. ELEMENT SELECTION & DRAGGING
+        // 6. ELEMENT SELECTION & DRAGGING
         if (tool === 'select') {
             let hitFound = false;
             // Reverse loop to select top-most element first
-            for (let i = this.elements.length - 1; i >= 0; i--) {
-                const el = this.elements[i];
+            const candidates = this.getElementsNear(mouse);
+            for (let i = candidates.length - 1; i >= 0; i--) {
+                const el = candidates[i];
                 if (this.isPointInElement(mouse, el)) {
                     
                     // PDF Preview Button Specific Detection
@@ -545,6 +751,13 @@ class FluxWhiteboard {
                         }
                     }
 
+                    // Board links in text: follow instead of selecting
+                    const link = this.getLinkAt(el, mouse);
+                    if (link) {
+                        this.canvas.dispatchEvent(new CustomEvent('flux-link', { detail: { element: el, target: link } }));
+                        return;
+                    }
+
                     if (!this.interaction.selectedElements.includes(el)) this.interaction.selectedElements = [el];
                     this.saveHistory();
                     this.interaction.isDraggingElements = true; 
@@ -568,11 +781,17 @@ class FluxWhiteboard {
         const pos = this.getPointerPos(e);
         const mouse = this.screenToWorld(pos.x, pos.y);
         
-        // 1. CURSOR HOVER LOGIC (PDF Button)
+        // 1. CURSOR HOVER LOGIC (PDF Button, board links)
         let cursorSet = false;
-        if (!this.interaction.isPanning && !this.interaction.isDraggingHandle && !this.interaction.isDrawingPath && window.flux.state.activeTool === 'select') {
-            for (let i = this.elements.length - 1; i >= 0; i--) {
-                const el = this.elements[i];
+        if (!this.interaction.isPanning && !this.interaction.isDraggingHandle && !this.interaction.isDrawingPath && !this.interaction.isDraggingElements && window.flux.state.activeTool === 'select') {
+            const candidates = this.getElementsNear(mouse);
+            for (let i = candidates.length - 1; i >= 0; i--) {
+                const el = candidates[i];
+                if (el.type === 'text' && this.isPointInElement(mouse, el) && this.getLinkAt(el, mouse)) {
+                    this.canvas.style.cursor = 'pointer';
+                    cursorSet = true;
+                    break;
+                }
                 if (el.type === 'pdf' && this.isPointInElement(mouse, el)) {
                     const btnXStart = el.x + (el.width * 0.20);
                     const btnXEnd = el.x + (el.width * 0.60);
@@ -587,33 +806,54 @@ class FluxWhiteboard {
             }
         }
         if (!cursorSet && !this.interaction.isPanning) {
-            this.canvas.style.cursor = 'default';
+            // The eraser draws its own outline (see drawEraserOutline)
+            this.canvas.style.cursor = window.flux.state.activeTool === 'eraser' ? 'none' : 'default';
         }
 
         // 2. PANNING
         if (this.interaction.isPanning) {
-            const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-            const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-            this.view.offsetX += clientX - this.interaction.lastMouseX; 
-            this.view.offsetY += clientY - this.interaction.lastMouseY;
-            this.interaction.lastMouseX = clientX; 
-            this.interaction.lastMouseY = clientY; 
+            this.view.offsetX += e.clientX - this.interaction.lastMouseX; 
+            this.view.offsetY += e.clientY - this.interaction.lastMouseY;
+            this.interaction.lastMouseX = e.clientX; 
+            this.interaction.lastMouseY = e.clientY; 
+            this.render(); return;
+        }
+
+        // 3. ERASING (the outline follows the pointer between gestures too)
+        if (window.flux.state.activeTool === 'eraser') {
+            if (this.interaction.isErasing) {
+                const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+                (events.length > 0 ? events : [e]).forEach(ev => {
+                    const p = this.getPointerPos(ev);
+                    const point = this.screenToWorld(p.x, p.y);
+                    this.eraseAlong(this.interaction.eraserPos || point, point);
+                    this.interaction.eraserPos = point;
+                });
+            }
+            this.interaction.eraserPos = mouse;
             this.render(); return;
         }
 
-        // 3. DRAWING
+        // 4. DRAWING
         if (this.interaction.isDrawingPath) { 
-            this.interaction.draggedElement.points.push({ x: mouse.x, y: mouse.y }); 
+            // Pens report more positions than there are frames: keep all of them
+            const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            (events.length > 0 ? events : [e]).forEach(ev => {
+                const p = this.getPointerPos(ev);
+                this.addStrokePoint(this.interaction.draggedElement, this.getStrokePoint(ev, this.screenToWorld(p.x, p.y)));
+            });
+            this.invalidateElement(this.interaction.draggedElement);
             this.render(); return; 
         }
         
-        // 4. RESIZING
+        // 5. RESIZING
         if (this.interaction.isDraggingHandle) { 
             this.resizeElement(this.interaction.draggedElement, this.interaction.draggedHandle, mouse); 
+            this.invalidateElement(this.interaction.draggedElement);
             this.render(); return; 
         }
         
-        // 5. DRAGGING ELEMENTS
+        // 6. DRAGGING ELEMENTS
         if (this.interaction.isDraggingElements) {
             const dx = mouse.x - this.interaction.dragLastWorldPos.x;
             const dy = mouse.y - this.interaction.dragLastWorldPos.y;
@@ -622,12 +862,13 @@ class FluxWhiteboard {
                 if (el.type === 'line') { el.p1.x += dx; el.p1.y += dy; el.p2.x += dx; el.p2.y += dy; }
                 else if (el.type === 'pen') { el.points.forEach(p => { p.x += dx; p.y += dy; }); }
                 else if (el.type === 'shape' || el.type === 'text' || el.type === 'image' || el.type === 'pdf') { el.x += dx; el.y += dy; }
+                this.invalidateElement(el);
             });
             this.interaction.dragLastWorldPos = mouse; 
             this.render(); return;
         }
 
-        // 6. MARQUEE SELECTION
+        // 7. MARQUEE SELECTION
         if (this.interaction.isSelecting) { 
             this.interaction.selectionBox.currentX = mouse.x; 
             this.interaction.selectionBox.currentY = mouse.y; 
@@ -637,11 +878,17 @@ class FluxWhiteboard {
 
     handleMouseUp() {
         if (this.interaction.isSelecting) this.finalizeSelection();
-        if (this.interaction.isDrawingPath) this.interaction.selectedElements = [this.interaction.draggedElement];
+        if (this.interaction.isDrawingPath) {
+            this.finishStroke(this.interaction.draggedElement);
+            this.interaction.selectedElements = [this.interaction.draggedElement];
+        }
+        const hasEdited = this.interaction.isDrawingPath || this.interaction.isDraggingHandle || this.interaction.isDraggingElements || this.interaction.hasErased;
         
         // Reset all states
         this.interaction.isSelecting = false; 
         this.interaction.isDrawingPath = false; 
+        this.interaction.isErasing = false;
+        this.interaction.hasErased = false;
         this.interaction.isPanning = false;
         this.interaction.isDraggingHandle = false; 
         this.interaction.isDraggingElements = false;
@@ -650,7 +897,10 @@ class FluxWhiteboard {
         
         this.canvas.classList.remove('panning'); 
         this.render();
-        if(window.flux) window.flux.updateEditBar();
+        if(window.flux) {
+            window.flux.updateEditBar();
+            if (hasEdited) window.flux.notifyProjectChanged(true);
+        }
     }
 
     // --- ELEMENT MANIPULATION ---
@@ -765,7 +1015,7 @@ class FluxWhiteboard {
         const x1 = Math.min(box.startX, box.currentX), y1 = Math.min(box.startY, box.currentY);
         const x2 = Math.max(box.startX, box.currentX), y2 = Math.max(box.startY, box.currentY);
         
-        this.interaction.selectedElements = this.elements.filter(el => {
+        this.interaction.selectedElements = this.queryElements({ minX: x1, minY: y1, maxX: x2, maxY: y2 }).filter(el => {
             if (el.type === 'line') return el.p1.x >= x1 && el.p1.x <= x2 && el.p1.y >= y1 && el.p1.y <= y2;
             if (el.type === 'pen') return el.points.some(p => p.x >= x1 && p.x <= x2 && p.y >= y1 && p.y <= y2);
             if (el.type === 'shape' || el.type === 'text' || el.type === 'image' || el.type === 'pdf') {
@@ -783,43 +1033,63 @@ class FluxWhiteboard {
         return Math.hypot(p.x - (v.x + t * (w.x - v.x)), p.y - (v.y + t * (w.y - v.y)));
     }
 
+    /**
+     * @method getDistSegmentToSegment
+     * @description Shortest distance between the segments a-b and c-d (0 when they cross).
+     */
+    getDistSegmentToSegment(a, b, c, d) {
+        const side = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+        if (side(a, b, c) * side(a, b, d) < 0 && side(c, d, a) * side(c, d, b) < 0) return 0;
+        return Math.min(
+            this.getDistPointToSegment(a, c, d), this.getDistPointToSegment(b, c, d),
+            this.getDistPointToSegment(c, a, b), this.getDistPointToSegment(d, a, b)
+        );
+    }
+
     // --- TOUCH SUPPORT (PINCH TO ZOOM) ---
-    
-    handleTouchStart(e) {
-        if (e.touches.length === 2) {
-            e.preventDefault(); 
-            this.interaction.isPanning = true;
-            this.interaction.initialTouchDistance = Math.hypot(e.touches[0].pageX - e.touches[1].pageX, e.touches[0].pageY - e.touches[1].pageY);
-            this.interaction.initialTouchCenter = { x: (e.touches[0].pageX + e.touches[1].pageX)/2, y: (e.touches[0].pageY + e.touches[1].pageY)/2 };
-        } else if (e.touches.length === 1) {
-            this.handleMouseDown(e); 
-        }
+
+    /**
+     * @method handlePinch
+     * @description Two-finger zoom around the center of the fingers, panning as it moves.
+     */
+    handlePinch(factor, center, dx, dy) {
+        this.applyZoom(factor, center.x, center.y);
+        this.view.offsetX += dx; 
+        this.view.offsetY += dy;
+        this.render();
     }
 
-    handleTouchMove(e) {
-        if (e.touches.length === 2 && this.interaction.isPanning) {
-            e.preventDefault();
-            const dist = Math.hypot(e.touches[0].pageX - e.touches[1].pageX, e.touches[0].pageY - e.touches[1].pageY);
-            const center = { x: (e.touches[0].pageX + e.touches[1].pageX)/2, y: (e.touches[0].pageY + e.touches[1].pageY)/2 };
-            
-            // Calculate zoom factor based on pinch spread
-            this.applyZoom(dist / this.interaction.initialTouchDistance, center.x, center.y);
-            
-            // Pan based on center movement
-            this.view.offsetX += center.x - this.interaction.initialTouchCenter.x; 
-            this.view.offsetY += center.y - this.interaction.initialTouchCenter.y;
-            
-            this.interaction.initialTouchDistance = dist; 
-            this.interaction.initialTouchCenter = center; 
-            this.render();
-        } else if (e.touches.length === 1) {
-            e.preventDefault(); 
-            this.handleMouseMove(e); 
+    /**
+     * @method cancelInteraction
+     * @description Abandons the current gesture (a second finger or a pen took over): a stroke
+     * being drawn is removed and an erase is reverted, together with their undo step; anything
+     * else ends where it is.
+     */
+    cancelInteraction() {
+        if (this.interaction.isDrawingPath) {
+            const stroke = this.interaction.draggedElement;
+            this.elements = this.elements.filter(el => el !== stroke);
+            this.interaction.isDrawingPath = false;
+            this.interaction.draggedElement = null;
+            this.interaction.lastRawPoint = null;
+
+            const undoStack = this.history.undoStack;
+            if (undoStack.length > 0 && undoStack[undoStack.length - 1] === JSON.stringify(this.elements)) {
+                undoStack.pop();
+                if (window.flux) window.flux.syncHistoryUI();
+            }
         }
+        if (this.interaction.isErasing && this.interaction.hasErased) {
+            // What the finger erased before the pinch comes back, without a redo step
+            this.undo();
+            this.history.redoStack.pop();
+            this.interaction.hasErased = false;
+            if (window.flux) window.flux.syncHistoryUI();
+        }
+        this.interaction.isSelecting = false;
+        this.handleMouseUp();
     }
 
-    handleTouchEnd() { this.handleMouseUp(); }
-
     // --- RENDERING PIPELINE ---
 
     resize() { 
@@ -828,21 +1098,143 @@ class FluxWhiteboard {
         this.canvas.height = window.innerHeight * devicePixelRatio; 
         this.ctx.scale(devicePixelRatio, devicePixelRatio); 
         this.ctx.imageSmoothingEnabled = true; 
+        this.staticLayer.setPixelRatio(devicePixelRatio);
         this.render(); 
     }
 
+    /**
+     * @method render
+     * @description Draws a frame in two layers: the static layer (tiles of the unselected elements,
+     * see FluxTileLayer) and the dynamic layer on top (selection, handles, marquee, stroke being drawn).
+     */
     render() {
         // Clear background
         this.ctx.fillStyle = getComputedStyle(document.body).getPropertyValue('--bg-color').trim();
         this.ctx.fillRect(0, 0, window.innerWidth, window.innerHeight);
         
         if (this.config.gridEnabled) this.drawInfiniteGrid();
-        this.drawElements(); 
+
+        const dynamic = this.getDynamicElements();
+        this.syncStaticLayer(dynamic);
+        const missing = this.staticLayer.draw(this.ctx, this.view, this.getViewportSize());
+        if (missing > 0 && !this.pendingFrame) {
+            this.pendingFrame = requestAnimationFrame(() => { this.pendingFrame = null; this.render(); });
+        }
+
+        if (dynamic.size > 0) {
+            // Unselected elements stacked above a selected one are drawn again over it, so selecting
+            // something does not bring it to the front
+            const visible = this.getVisibleElements();
+            const first = visible.findIndex(el => dynamic.has(el));
+            const area = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            dynamic.forEach(el => {
+                const b = this.getHitBounds(el);
+                this.extendBounds(area, { x: b.minX, y: b.minY });
+                this.extendBounds(area, { x: b.maxX, y: b.maxY });
+            });
+            this.drawElements(first < 0 ? [] : visible.slice(first).filter(el => {
+                if (dynamic.has(el)) return true;
+                const b = this.getHitBounds(el);
+                return !(b.maxX < area.minX || b.minX > area.maxX || b.maxY < area.minY || b.minY > area.maxY);
+            }));
+        }
         this.drawSelectionMarquee();
+        this.drawEraserOutline();
+    }
+
+    /**
+     * @method getDynamicElements
+     * @description Elements drawn every frame instead of being cached: the selection and the stroke being drawn.
+     */
+    getDynamicElements() {
+        const dynamic = new Set(this.interaction.selectedElements);
+        if (this.interaction.isDrawingPath && this.interaction.draggedElement) dynamic.add(this.interaction.draggedElement);
+        return dynamic;
+    }
+
+    /**
+     * @method syncStaticLayer
+     * @description Drops the tiles that no longer match the board: another elements array (load,
+     * undo/redo, deletions), elements added at the end, elements joining or leaving the dynamic layer.
+     */
+    syncStaticLayer(dynamic) {
+        const state = this.staticState;
+        const layer = this.staticLayer;
+
+        if (this.elements !== state.elements || this.elements.length < state.length) {
+            layer.clear();
+        } else {
+            for (let i = state.length; i < this.elements.length; i++) {
+                if (!dynamic.has(this.elements[i])) layer.invalidate(this.getHitBounds(this.elements[i]));
+            }
+            state.excluded.forEach(el => { if (!dynamic.has(el)) layer.invalidate(this.getHitBounds(el)); });
+            dynamic.forEach(el => { if (!state.excluded.has(el)) layer.invalidate(this.getHitBounds(el)); });
+        }
+
+        state.elements = this.elements;
+        state.length = this.elements.length;
+        state.excluded = dynamic;
+    }
+
+    /**
+     * @method drawStaticArea
+     * @description Draws the static elements meeting `rect` onto a tile (or the screen) with `view`.
+     */
+    drawStaticArea(ctx, rect, view) {
+        const excluded = this.staticState.excluded;
+        const elements = this.queryElements(rect).filter(el => !excluded.has(el));
+
+        const saved = { ctx: this.ctx, view: this.view };
+        this.ctx = ctx;
+        this.view = view;
+        try {
+            this.drawElements(elements);
+        } finally {
+            this.ctx = saved.ctx;
+            this.view = saved.view;
+        }
+    }
+
+    /**
+     * @method invalidateElement
+     * @description Must be called after an element is changed in place (moved, resized, restyled,
+     * content re-rendered): it is re-indexed and the tiles of its old and new area are drawn again.
+     */
+    invalidateElement(el) {
+        if (!this.staticState.excluded.has(el)) {
+            const previous = this.index.getIndexedBounds(el);
+            if (previous) this.staticLayer.invalidate(previous);
+            this.staticLayer.invalidate(this.getHitBounds(el));
+        }
+        this.index.update(el);
+    }
+
+    /**
+     * @method invalidateAll
+     * @description Drops every cached tile (e.g. the render caches of all elements were cleared) and redraws.
+     */
+    invalidateAll() {
+        this.staticLayer.clear();
+        this.render();
+    }
+
+    /**
+     * @method replaceElements
+     * @description Puts other elements (or none) in the place of some, keeping the drawing order.
+     * Only the tiles of their area are drawn again: whatever replaces an element must lie within it.
+     * @param {Map} replacements - Element -> array of the elements taking its place.
+     */
+    replaceElements(replacements) {
+        replacements.forEach((list, el) => this.staticLayer.invalidate(this.index.getIndexedBounds(el) || this.getHitBounds(el)));
+        this.elements = this.elements.flatMap(el => replacements.has(el) ? replacements.get(el) : [el]);
+        this.interaction.selectedElements = this.interaction.selectedElements.filter(el => this.elements.includes(el));
+        // The tiles elsewhere still match (see syncStaticLayer)
+        this.staticState.elements = this.elements;
+        this.staticState.length = this.elements.length;
     }
 
     drawInfiniteGrid() {
-        this.ctx.fillStyle = getComputedStyle(document.body).getPropertyValue('--grid-dot-color').trim();
+        const color = getComputedStyle(document.body).getPropertyValue('--grid-dot-color').trim();
         const gap = this.config.dotGap * this.view.scale; 
         
         // Hide grid if too dense to prevent moiré patterns
@@ -850,22 +1242,256 @@ class FluxWhiteboard {
         
         const sX = (this.view.offsetX % gap) - gap;
         const sY = (this.view.offsetY % gap) - gap;
-        
-        this.ctx.beginPath();
-        for (let x = sX; x < window.innerWidth + gap; x += gap) {
-            for (let y = sY; y < window.innerHeight + gap; y += gap) {
-                this.ctx.moveTo(x, y); 
-                this.ctx.arc(x, y, this.config.dotRadius * Math.sqrt(this.view.scale), 0, Math.PI * 2);
+        const { width, height } = this.getViewportSize();
+
+        // Offscreen exports draw the dots directly
+        if (this.renderTarget) {
+            this.drawGridDots(this.ctx, color, gap, sX, sY, width + gap, height + gap);
+            return;
+        }
+
+        // The dots repeat every `gap`: one cached sheet, a bit larger than the screen, is moved instead
+        const key = `${gap}|${color}|${width}x${height}|${devicePixelRatio}`;
+        if (!this.gridCache || this.gridCache.key !== key) {
+            const canvas = document.createElement('canvas');
+            const sheet = { width: width + 3 * gap, height: height + 3 * gap };
+            canvas.width = Math.ceil(sheet.width * devicePixelRatio);
+            canvas.height = Math.ceil(sheet.height * devicePixelRatio);
+            const ctx = canvas.getContext('2d');
+            ctx.scale(devicePixelRatio, devicePixelRatio);
+            this.drawGridDots(ctx, color, gap, gap, gap, sheet.width, sheet.height);
+            this.gridCache = { key, canvas, ...sheet };
+        }
+        this.ctx.drawImage(this.gridCache.canvas, sX - gap, sY - gap, this.gridCache.width, this.gridCache.height);
+    }
+
+    drawGridDots(ctx, color, gap, startX, startY, width, height) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        for (let x = startX; x < width; x += gap) {
+            for (let y = startY; y < height; y += gap) {
+                ctx.moveTo(x, y); 
+                ctx.arc(x, y, this.config.dotRadius * Math.sqrt(this.view.scale), 0, Math.PI * 2);
             }
         }
-        this.ctx.fill();
+        ctx.fill();
+    }
+
+    /**
+     * @method getElementBounds
+     * @description Axis-aligned bounding box of an element in world coordinates (stroke excluded).
+     */
+    getElementBounds(el) {
+        if (el.type === 'line') {
+            return {
+                minX: Math.min(el.p1.x, el.p2.x), minY: Math.min(el.p1.y, el.p2.y),
+                maxX: Math.max(el.p1.x, el.p2.x), maxY: Math.max(el.p1.y, el.p2.y)
+            };
+        }
+        if (el.type === 'pen') return { ...this.getPenBounds(el) };
+        return { minX: el.x, minY: el.y, maxX: el.x + el.width, maxY: el.y + el.height };
+    }
+
+    /**
+     * @method getPenBounds
+     * @description Bounding box of a pen stroke, cached until its points change: another array,
+     * a moved first point (dragging) or points appended while drawing (only those are added).
+     */
+    getPenBounds(el) {
+        const points = el.points;
+        const cached = this.penBounds.get(el);
+        if (cached && cached.points === points && points.length >= cached.count && points.length > 0 &&
+            points[0].x === cached.x0 && points[0].y === cached.y0) {
+            for (let i = cached.count; i < points.length; i++) this.extendBounds(cached.bounds, points[i]);
+            cached.count = points.length;
+            return cached.bounds;
+        }
+
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        points.forEach(p => this.extendBounds(bounds, p));
+        this.penBounds.set(el, { points, count: points.length, x0: points.length > 0 ? points[0].x : 0, y0: points.length > 0 ? points[0].y : 0, bounds });
+        return bounds;
+    }
+
+    /**
+     * @method hasPressure
+     * @description Strokes drawn with a pen have a pressure on their points (solid strokes only:
+     * dashes would restart at every change of width).
+     */
+    hasPressure(el) {
+        return el.type === 'pen' && el.points.length > 0 && el.points[0].p !== undefined && (el.dashStyle || 'solid') === 'solid';
+    }
+
+    /**
+     * @method getPointWidth
+     * @description Stroke width at a point: from 0.3x (light touch) to 1.7x (firm) the stroke width,
+     * half pressure drawing it as set. A tilted pen draws up to 50% wider, like a pencil on its side.
+     */
+    getPointWidth(width, point) {
+        if (point.p === undefined) return width;
+        const tilt = Math.min(Math.hypot(point.tx || 0, point.ty || 0), 60) / 60;
+        return width * (0.3 + 1.4 * Math.min(Math.max(point.p, 0), 1)) * (1 + 0.5 * tilt);
+    }
+
+    /**
+     * @method getPenRuns
+     * @description Geometry of a pen stroke, shared by the canvas and the exports. The points are
+     * joined by quadratic curves through their midpoints (smoothing), sampled as a polyline, and cut
+     * in runs of (nearly) equal width: each run is stroked as one path with round caps and joins.
+     * @returns {Array} Runs { width, points } in world units.
+     */
+    getPenRuns(el) {
+        const width = el.width || 3;
+        const points = el.points;
+        const key = `${width}|${el.dashStyle}|${points.length}|${points.length > 0 ? points[0].x + ',' + points[0].y : ''}`;
+        const cached = this.penRuns.get(el);
+        if (cached && cached.points === points && cached.key === key) return cached.runs;
+
+        const pressure = this.hasPressure(el);
+        const w = p => pressure ? this.getPointWidth(width, p) : width;
+        const samples = [];
+        if (points.length < 3) {
+            points.forEach(p => samples.push({ x: p.x, y: p.y, w: w(p) }));
+        } else {
+            const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, w: (w(a) + w(b)) / 2 });
+            const steps = 4;
+            samples.push({ x: points[0].x, y: points[0].y, w: w(points[0]) });
+            for (let i = 1; i < points.length - 1; i++) {
+                const a = i === 1 ? samples[0] : mid(points[i - 1], points[i]);
+                const c = { x: points[i].x, y: points[i].y, w: w(points[i]) };
+                const b = i === points.length - 2 ? { x: points[i + 1].x, y: points[i + 1].y, w: w(points[i + 1]) } : mid(points[i], points[i + 1]);
+                for (let s = 1; s <= steps; s++) {
+                    const t = s / steps, u = 1 - t;
+                    samples.push({
+                        x: u * u * a.x + 2 * u * t * c.x + t * t * b.x,
+                        y: u * u * a.y + 2 * u * t * c.y + t * t * b.y,
+                        w: u * u * a.w + 2 * u * t * c.w + t * t * b.w
+                    });
+                }
+            }
+        }
+        if (samples.length === 1) samples.push({ ...samples[0] });
+
+        let runs;
+        if (!pressure) {
+            runs = [{ width, points: samples }];
+        } else {
+            // Widths rounded to 1/8 of the stroke width, so a stroke is a handful of paths
+            const quantum = width / 8;
+            runs = [];
+            let run = null;
+            for (let i = 1; i < samples.length; i++) {
+                const segmentWidth = Math.max(quantum, Math.round((samples[i - 1].w + samples[i].w) / 2 / quantum) * quantum);
+                if (!run || run.width !== segmentWidth) {
+                    run = { width: segmentWidth, points: [samples[i - 1]] };
+                    runs.push(run);
+                }
+                run.points.push(samples[i]);
+            }
+        }
+
+        this.penRuns.set(el, { points, key, runs });
+        return runs;
+    }
+
+    extendBounds(b, p) {
+        if (p.x < b.minX) b.minX = p.x; if (p.x > b.maxX) b.maxX = p.x;
+        if (p.y < b.minY) b.minY = p.y; if (p.y > b.maxY) b.maxY = p.y;
+    }
+
+    /**
+     * @method getHitBounds
+     * @description Bounds used by the spatial index: lines and strokes grow by half their width.
+     */
+    getHitBounds(el) {
+        const b = this.getElementBounds(el);
+        if (el.type !== 'line' && el.type !== 'pen') return b;
+        let half = (el.strokeWidth || el.width || 3) / 2;
+        if (this.hasPressure(el)) half *= this.config.maxPressureFactor;
+        return { minX: b.minX - half, minY: b.minY - half, maxX: b.maxX + half, maxY: b.maxY + half };
+    }
+
+    /**
+     * @method queryElements
+     * @description Elements whose bounds meet a world-space rectangle, in drawing order.
+     */
+    queryElements(rect) {
+        this.index.sync(this.elements);
+        return this.index.query(rect);
+    }
+
+    /**
+     * @method getElementsNear
+     * @description Candidates for hit-testing a world point (within the click tolerance).
+     */
+    getElementsNear(p) {
+        const pad = Math.max(this.config.hitThreshold, 15) / this.view.scale;
+        return this.queryElements({ minX: p.x - pad, minY: p.y - pad, maxX: p.x + pad, maxY: p.y + pad });
+    }
+
+    /**
+     * @method getVisibleElements
+     * @description Elements to draw: the index answers for the board on screen,
+     * offscreen renders (exports, thumbnails) filter their own element list.
+     */
+    getVisibleElements() {
+        if (this.renderTarget) return this.elements.filter(el => this.isElementInView(el));
+
+        const margin = 100;
+        const { width, height } = this.getViewportSize();
+        const topLeft = this.screenToWorld(-margin, -margin);
+        const bottomRight = this.screenToWorld(width + margin, height + margin);
+        return this.queryElements({ minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y });
+    }
+
+    /**
+     * @method getCenteredView
+     * @description View (pan/zoom) showing `elements` centered on screen at 100% (used for imported boards).
+     */
+    getCenteredView(elements) {
+        const view = { offsetX: window.innerWidth / 2, offsetY: window.innerHeight / 2, scale: 1 };
+        const b = this.getElementsBounds(elements);
+        if (!b) return view;
+
+        view.offsetX -= (b.minX + b.maxX) / 2;
+        view.offsetY -= (b.minY + b.maxY) / 2;
+        return view;
+    }
+
+    /**
+     * @method getElementsBounds
+     * @description Bounds around several elements, or null when there are none.
+     */
+    getElementsBounds(elements) {
+        if (elements.length === 0) return null;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        elements.forEach(el => {
+            const b = this.getElementBounds(el);
+            minX = Math.min(minX, b.minX); minY = Math.min(minY, b.minY);
+            maxX = Math.max(maxX, b.maxX); maxY = Math.max(maxY, b.maxY);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+
+    translateElement(el, dx, dy) {
+        if (el.type === 'line') {
+            el.p1 = { x: el.p1.x + dx, y: el.p1.y + dy };
+            el.p2 = { x: el.p2.x + dx, y: el.p2.y + dy };
+        } else if (el.type === 'pen') {
+            el.points = el.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy }));
+        } else {
+            el.x += dx;
+            el.y += dy;
+        }
+        this.invalidateElement(el);
     }
 
     isElementInView(el) {
         const margin = 100; 
         const scale = this.view.scale;
         const topLeft = this.screenToWorld(-margin, -margin);
-        const bottomRight = this.screenToWorld(window.innerWidth + margin, window.innerHeight + margin);
+        const { width, height } = this.getViewportSize();
+        const bottomRight = this.screenToWorld(width + margin, height + margin);
 
         if (el.type === 'line') {
             const minX = Math.min(el.p1.x, el.p2.x);
@@ -874,19 +1500,30 @@ class FluxWhiteboard {
             const maxY = Math.max(el.p1.y, el.p2.y);
             return !(maxX < topLeft.x || minX > bottomRight.x || maxY < topLeft.y || minY > bottomRight.y);
         }
-        if (el.type === 'pen') return true;
+        if (el.type === 'pen') {
+            const b = this.getPenBounds(el);
+            return !(b.maxX < topLeft.x || b.minX > bottomRight.x || b.maxY < topLeft.y || b.minY > bottomRight.y);
+        }
 
         return !(el.x + el.width < topLeft.x || el.x > bottomRight.x || 
                 el.y + el.height < topLeft.y || el.y > bottomRight.y);
     }
 
-    drawElements() {
-        const isLowDetail = this.view.scale < this.config.lodThreshold;
+    getViewportSize() {
+        return this.renderTarget || { width: window.innerWidth, height: window.innerHeight };
+    }
 
-        this.elements.forEach(el => {
-            // OPTIMIZATION 1: Frustum Culling
-            if (!this.isElementInView(el)) return;
+    /**
+     * @method drawElements
+     * @description Draws elements (in order) with the current ctx and view.
+     * @param {Array} [elements] - Defaults to the elements in view.
+     */
+    drawElements(elements = this.getVisibleElements()) {
+        // Exports are always drawn at full detail
+        const isLowDetail = !this.renderTarget && this.view.scale < this.config.lodThreshold;
 
+        // OPTIMIZATION 1: Frustum Culling (spatial index, tiles of the static layer)
+        elements.forEach(el => {
             this.ctx.save();
             const isSelected = this.interaction.selectedElements.includes(el);
             
@@ -916,19 +1553,28 @@ class FluxWhiteboard {
                         if (el.arrowEnd) this.drawArrowhead(el.p1, el.p2, el.color, el.width);
                     }
                     if (isSelected) { this.drawHandle(sP1.x, sP1.y, el.color); this.drawHandle(sP2.x, sP2.y, el.color); }
-                } else {
+                } else if (isLowDetail) {
+                    // OPTIMIZATION 2: Simplified pen lines 
+                    // If we are "far" then draw only one point every 3, at the plain stroke width
                     this.ctx.beginPath(); 
                     const st = this.worldToScreen(el.points[0].x, el.points[0].y); 
                     this.ctx.moveTo(st.x, st.y);
-                    
-                    // OPTIMIZATION 2: Simplified pen lines 
-                    // If we are "far" then draw only one point every 3
-                    const step = isLowDetail ? 3 : 1;
-                    for(let i=1; i < el.points.length; i+=step) {
+                    for(let i=1; i < el.points.length; i+=3) {
                         const sp = this.worldToScreen(el.points[i].x, el.points[i].y);
                         this.ctx.lineTo(sp.x, sp.y);
                     }
                     this.ctx.stroke();
+                } else {
+                    // Smoothed, with the pressure of the pen (see getPenRuns)
+                    this.getPenRuns(el).forEach(run => {
+                        this.ctx.lineWidth = run.width * this.view.scale;
+                        this.ctx.beginPath();
+                        run.points.forEach((p, i) => {
+                            const sp = this.worldToScreen(p.x, p.y);
+                            if (i === 0) this.ctx.moveTo(sp.x, sp.y); else this.ctx.lineTo(sp.x, sp.y);
+                        });
+                        this.ctx.stroke();
+                    });
                 }
             } 
             // Managing shapes, text and PDFs
@@ -979,16 +1625,43 @@ class FluxWhiteboard {
 
         if (el.imgObj) {
             this.ctx.drawImage(el.imgObj, sPos.x, sPos.y, sW, sH);
-        } else {
-            // Lazy load image if not cached
-            const img = new Image();
-            img.onload = () => { el.imgObj = img; this.render(); };
-            img.src = el.src;
+        } else if (this.failedImages.get(el) !== this.getAssetUrl(el)) {
+            // Lazy load image if not cached (copies drawn by exports do not touch the board)
+            this.loadImageElement(el).then(() => {
+                if (el.imgObj && this.elements.includes(el)) { this.invalidateElement(el); this.render(); }
+            });
         }
 
         if (isSelected) this.drawSelectionBox(sPos, sW, sH, el);
     }
 
+    /**
+     * @method loadImageElement
+     * @description Loads the bitmap of an image element into `el.imgObj`.
+     * @returns {Promise} Resolves when loaded (or failed).
+     */
+    loadImageElement(el) {
+        if (this.renderJobs.has(el)) return this.renderJobs.get(el);
+        const url = this.getAssetUrl(el);
+        const job = new Promise(resolve => {
+            if (!url) { this.failedImages.set(el, url); resolve(); return; }
+            const img = new Image();
+            img.onload = () => { el.imgObj = img; resolve(); };
+            img.onerror = () => { this.failedImages.set(el, url); resolve(); };
+            img.src = url;
+        }).then(() => this.renderJobs.delete(el));
+        this.renderJobs.set(el, job);
+        return job;
+    }
+
+    /**
+     * @method getAssetUrl
+     * @description Resolves the binary content of an image/PDF element to a loadable URL.
+     */
+    getAssetUrl(el) {
+        return window.flux && window.flux.assets ? window.flux.assets.getUrl(el.asset) : null;
+    }
+
     drawPDFElement(el, isSelected) {
         const sPos = this.worldToScreen(el.x, el.y);
         const sW = el.width * this.view.scale;
@@ -1015,15 +1688,22 @@ class FluxWhiteboard {
 
     /**
      * @method renderPDFToImage
-     * @description Generates an SVG representation of the PDF Preview Card.
-     * Uses foreignObject to embed HTML styled via inline CSS.
+     * @description Rasterizes the PDF Preview Card (see getPDFCardSVG) into `el.renderedImage`.
      */
     renderPDFToImage(el) {
-        if (el.isRendering) return;
-        el.isRendering = true;
+        if (this.renderJobs.has(el)) return this.renderJobs.get(el);
+        return this.rasterizeSVG(el, this.getPDFCardSVG(el));
+    }
 
+    /**
+     * @method getPDFCardSVG
+     * @description Generates an SVG representation of the PDF Preview Card.
+     * Uses foreignObject to embed HTML styled via inline CSS.
+     * @param {boolean} [isLight] - Light palette (defaults to the current theme; print exports force it).
+     * @returns {string} Standalone SVG markup sized `el.width` x `el.height`.
+     */
+    getPDFCardSVG(el, isLight = document.body.classList.contains('light-mode')) {
         const fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
-        const isLight = document.body.classList.contains('light-mode');
         
         // Colors derived from main CSS logic but inline for SVG
         const bgColor = isLight ? "rgba(255, 255, 255, 0.6)" : "rgba(255, 255, 255, 0.03)";
@@ -1048,7 +1728,7 @@ class FluxWhiteboard {
         const btnBorderRadius = 8 * scale;
         const borderWidth = Math.max(1, 1 * scale); // Ensure at least 1px
 
-        const svgString = `
+        return `
         <svg xmlns="http://www.w3.org/2000/svg" width="${el.width}" height="${el.height}">
             <foreignObject width="100%" height="100%">
                 <div xmlns="http://www.w3.org/1999/xhtml" style="
@@ -1097,23 +1777,12 @@ class FluxWhiteboard {
                         </svg>
                     </div>
                     <div class="content">
-                        <div class="title">${el.name}</div>
+                        <div class="title">${this.escapeXML(el.name)}</div>
                         <div class="btn">Preview</div>
                     </div>
                 </div>
             </foreignObject>
         </svg>`;
-
-        const blob = new Blob([svgString], { type: "image/svg+xml;charset=utf-8" });
-        const url = URL.createObjectURL(blob);
-        const img = new Image();
-        img.onload = () => {
-            el.renderedImage = img;
-            el.isRendering = false;
-            URL.revokeObjectURL(url);
-            this.render();
-        };
-        img.src = url;
     }
 
     drawTextElement(el, isSelected) {
@@ -1132,87 +1801,260 @@ class FluxWhiteboard {
 
     /**
      * @method renderMarkdownToImage
-     * @description Converts Markdown + LaTeX content into an SVG image.
-     * Uses `marked` library for MD and `katex` for math.
+     * @description Rasterizes the Markdown + LaTeX content (see getMarkdownSVG) into `el.renderedImage`.
      */
     renderMarkdownToImage(el) {
-        if (el.isRendering) return;
-        el.isRendering = true;
-        
-        let htmlContent = window.marked ? window.marked.parse(el.content) : `<p>${el.content}</p>`;
+        if (this.renderJobs.has(el)) return this.renderJobs.get(el);
+        return this.rasterizeSVG(el, this.getMarkdownSVG(el));
+    }
 
-        // Parse Math (LaTeX)
-        if (window.katex) {
-            htmlContent = htmlContent.replace(/\$\$([\s\S]*?)\$\$/g, (match, tex) => {
-                try { return window.katex.renderToString(tex, { displayMode: true, throwOnError: false }); } catch(e){ return match; }
-            });
-            htmlContent = htmlContent.replace(/\$([^\$\n]+?)\$/g, (match, tex) => {
-                try { return window.katex.renderToString(tex, { displayMode: false, throwOnError: false }); } catch(e){ return match; }
-            });
+    /**
+     * @method rasterizeSVG
+     * @description Loads SVG markup as an image and caches it in `el.renderedImage`.
+     * Concurrent requests for the same element share a single job.
+     * @returns {Promise} Resolves when the image is ready (or failed).
+     */
+    rasterizeSVG(el, svgString) {
+        if (this.renderJobs.has(el)) return this.renderJobs.get(el);
+
+        const job = new Promise(resolve => {
+            const blob = new Blob([svgString], { type: "image/svg+xml;charset=utf-8" });
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                el.renderedImage = img;
+                URL.revokeObjectURL(url);
+                // Offscreen copies (exports, thumbnails, previews) are not on the board
+                if (this.elements.includes(el)) {
+                    this.invalidateElement(el);
+                    this.render();
+                }
+                resolve();
+            };
+            img.onerror = () => { URL.revokeObjectURL(url); resolve(); };
+            img.src = url;
+        }).then(() => this.renderJobs.delete(el));
+
+        this.renderJobs.set(el, job);
+        return job;
+    }
+
+    /**
+     * @method waitForRenderCaches
+     * @description Starts (or joins) the rasterization of every text/PDF card and image load
+     * among `elements`, so an export never misses content that is still loading.
+     */
+    waitForRenderCaches(elements) {
+        return Promise.all(elements.map(el => {
+            if (el.type === 'text' && !el.renderedImage) return this.renderMarkdownToImage(el);
+            if (el.type === 'pdf' && !el.renderedImage) return this.renderPDFToImage(el);
+            if (el.type === 'image' && !el.imgObj) return this.loadImageElement(el);
+            return null;
+        }));
+    }
+
+    /**
+     * @method renderToCanvas
+     * @description Draws elements through the regular `drawElements` pipeline onto an offscreen canvas.
+     * @param {Object} options
+     * @param {Array} options.elements - Elements to draw (in order).
+     * @param {Object} options.bounds - World-space area {x, y, width, height} to capture.
+     * @param {number} options.scale - Output pixels per world unit.
+     * @param {string} [options.background] - 'transparent', 'theme' or 'grid'.
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderToCanvas({ elements, bounds, scale, background = 'transparent' }) {
+        await this.waitForRenderCaches(elements);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(bounds.width * scale));
+        canvas.height = Math.max(1, Math.ceil(bounds.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+
+        // Temporarily point the pipeline at the offscreen surface
+        const saved = { ctx: this.ctx, view: this.view, elements: this.elements, selected: this.interaction.selectedElements };
+        this.ctx = ctx;
+        this.view = { offsetX: -bounds.x * scale, offsetY: -bounds.y * scale, scale };
+        this.elements = elements;
+        this.interaction.selectedElements = [];
+        this.renderTarget = { width: canvas.width, height: canvas.height };
+
+        try {
+            if (background !== 'transparent') {
+                ctx.fillStyle = getComputedStyle(document.body).getPropertyValue('--bg-color').trim();
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            if (background === 'grid') this.drawInfiniteGrid();
+            this.drawElements();
+        } finally {
+            this.ctx = saved.ctx;
+            this.view = saved.view;
+            this.elements = saved.elements;
+            this.interaction.selectedElements = saved.selected;
+            this.renderTarget = null;
         }
 
-        const fontSize = el.fontSize;
-        const color = el.color;
+        return canvas;
+    }
+
+    /**
+     * @method getMarkdownSVG
+     * @description Converts Markdown + LaTeX content into an SVG document.
+     * Uses `marked` library for MD and `katex` for math.
+     * @returns {string} Standalone SVG markup sized `el.width` x `el.height`.
+     */
+    getMarkdownSVG(el) {
         const fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
-        const katexCSS = (window.flux && window.flux.katexStyles) ? window.flux.katexStyles : "";
 
-        const svgString = `
+        return `
         <svg xmlns="http://www.w3.org/2000/svg" width="${el.width}" height="${el.height}">
             <foreignObject width="100%" height="100%">
                 <div xmlns="http://www.w3.org/1999/xhtml" style="
                     font-family: ${fontFamily};
-                    font-size: ${fontSize}px;
-                    color: ${color};
+                    font-size: ${el.fontSize}px;
+                    color: ${el.color};
                     width: 100%; height: 100%;
                     overflow: hidden; word-wrap: break-word;
                 ">
-                    <style>
-                        ${katexCSS}
-                        p { margin: 0 0 0.5em 0; }
-                        h1, h2, h3 { margin: 0 0 0.5em 0; font-weight: 600; line-height: 1.2; }
-                        h1 { font-size: 1.5em; } h2 { font-size: 1.3em; } h3 { font-size: 1.1em; }
-                        ul, ol { margin: 0 0 0.5em 0; padding-left: 1.2em; }
-                        blockquote { border-left: 3px solid ${color}; padding-left: 10px; opacity: 0.8; margin: 0; }
-                        code { background: rgba(127,127,127,0.2); padding: 2px 4px; border-radius: 3px; font-family: monospace; }
-                        .katex-mathml { display: none !important; }
-                    </style>
-                    ${htmlContent}
+                    <style>${this.getMarkdownCSS(el.color)}</style>
+                    ${this.getMarkdownHTML(el)}
                 </div>
             </foreignObject>
         </svg>`;
+    }
 
-        const blob = new Blob([svgString], { type: "image/svg+xml;charset=utf-8" });
-        const url = URL.createObjectURL(blob);
-        const img = new Image();
-        img.onload = () => {
-            el.renderedImage = img;
-            el.isRendering = false;
-            URL.revokeObjectURL(url);
-            this.render();
-        };
-        img.onerror = () => { el.isRendering = false; };
-        img.src = url;
+    /**
+     * @method getMarkdownHTML
+     * @description Markdown + LaTeX content of a text element as XHTML (board links become anchors).
+     */
+    getMarkdownHTML(el) {
+        const content = window.flux && window.flux.links ? window.flux.links.toHTML(el.content) : el.content;
+        let htmlContent = window.marked ? window.marked.parse(content) : `<p>${content}</p>`;
+
+        // Parse Math (LaTeX)
+        if (window.katex) {
+            htmlContent = htmlContent.replace(/\$\$([\s\S]*?)\$\$/g, (match, tex) => {
+                try { return window.katex.renderToString(tex, { displayMode: true, throwOnError: false }); } catch(e){ return match; }
+            });
+            htmlContent = htmlContent.replace(/\$([^\$\n]+?)\$/g, (match, tex) => {
+                try { return window.katex.renderToString(tex, { displayMode: false, throwOnError: false }); } catch(e){ return match; }
+            });
+        }
+
+        // SVG is XML: void tags produced by marked (<br>, <hr>, <img>) must be closed
+        return this.toXHTML(htmlContent);
+    }
+
+    getMarkdownCSS(color) {
+        const katexCSS = (window.flux && window.flux.katexStyles) ? window.flux.katexStyles : "";
+        return `
+            ${katexCSS}
+            p { margin: 0 0 0.5em 0; }
+            h1, h2, h3 { margin: 0 0 0.5em 0; font-weight: 600; line-height: 1.2; }
+            h1 { font-size: 1.5em; } h2 { font-size: 1.3em; } h3 { font-size: 1.1em; }
+            ul, ol { margin: 0 0 0.5em 0; padding-left: 1.2em; }
+            blockquote { border-left: 3px solid ${color}; padding-left: 10px; opacity: 0.8; margin: 0; }
+            code { background: rgba(127,127,127,0.2); padding: 2px 4px; border-radius: 3px; font-family: monospace; }
+            a.flux-link { color: ${this.config.linkColor}; text-decoration: underline; }
+            .katex-mathml { display: none !important; }
+        `;
+    }
+
+    /**
+     * @method getLinkAt
+     * @description Target of the board link under a world point of a text element, or null.
+     * The rasterized card has no DOM, so the same HTML is laid out off-screen (in a shadow root,
+     * to keep its styles apart) and the boxes of its links are cached until the text changes.
+     */
+    getLinkAt(el, p) {
+        if (el.type !== 'text' || !el.content.includes('[[')) return null;
+
+        const key = `${el.content}|${el.width}|${el.fontSize}`;
+        let cached = this.linkRegions.get(el);
+        if (!cached || cached.key !== key) {
+            cached = { key, regions: this.measureLinks(el) };
+            this.linkRegions.set(el, cached);
+        }
+
+        const x = p.x - el.x, y = p.y - el.y;
+        const hit = cached.regions.find(r => x >= r.left && x <= r.right && y >= r.top && y <= r.bottom && y <= el.height);
+        return hit ? hit.target : null;
     }
 
-    drawShapePath(t, x, y, w, h) {
+    measureLinks(el) {
+        const host = document.createElement('div');
+        host.style.cssText = 'position: fixed; left: -10000px; top: 0; visibility: hidden; pointer-events: none;';
+        document.body.appendChild(host);
+
+        try {
+            const root = host.attachShadow({ mode: 'open' });
+            root.innerHTML = `
+                <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: ${el.fontSize}px; width: ${el.width}px; word-wrap: break-word;">
+                    <style>${this.getMarkdownCSS(el.color)}</style>
+                    ${this.getMarkdownHTML(el)}
+                </div>`;
+            const box = root.firstElementChild.getBoundingClientRect();
+            return Array.from(root.querySelectorAll('a.flux-link')).flatMap(a =>
+                Array.from(a.getClientRects(), r => ({
+                    target: a.getAttribute('data-link'),
+                    left: r.left - box.left, right: r.right - box.left,
+                    top: r.top - box.top, bottom: r.bottom - box.top
+                }))
+            );
+        } finally {
+            host.remove();
+        }
+    }
+
+    toXHTML(html) {
+        const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+        const serializer = new XMLSerializer();
+        return Array.from(doc.body.childNodes, node => serializer.serializeToString(node)).join('');
+    }
+
+    escapeXML(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * @method drawShapePath
+     * @description Adds the outline of a shape to a path.
+     * @param {Object} [ctx] - Any path builder with moveTo/lineTo/rect/ellipse/closePath
+     *                         (defaults to the board canvas; the SVG exporter passes its own).
+     */
+    drawShapePath(t, x, y, w, h, ctx = this.ctx) {
         switch(t) {
-            case 'rect': this.ctx.rect(x,y,w,h); break;
-            case 'circle': this.ctx.ellipse(x+w/2, y+h/2, w/2, h/2, 0, 0, Math.PI*2); break;
-            case 'triangle': this.ctx.moveTo(x+w/2,y); this.ctx.lineTo(x+w,y+h); this.ctx.lineTo(x,y+h); this.ctx.closePath(); break;
-            case 'diamond': this.ctx.moveTo(x+w/2,y); this.ctx.lineTo(x+w,y+h/2); this.ctx.lineTo(x+w/2,y+h); this.ctx.lineTo(x,y+h/2); this.ctx.closePath(); break;
-            case 'hexagon': const hx=w*0.25; this.ctx.moveTo(x+hx,y); this.ctx.lineTo(x+w-hx,y); this.ctx.lineTo(x+w,y+h/2); this.ctx.lineTo(x+w-hx,y+h); this.ctx.lineTo(x+hx,y+h); this.ctx.lineTo(x,y+h/2); this.ctx.closePath(); break;
-            case 'star': const cx=x+w/2,cy=y+h/2,sp=5,oR=w/2,iR=w/4; let rot=Math.PI/2*3,st=Math.PI/sp; this.ctx.moveTo(cx,cy-oR); for(let i=0;i<sp;i++){ this.ctx.lineTo(cx+Math.cos(rot)*oR,cy+Math.sin(rot)*oR); rot+=st; this.ctx.lineTo(cx+Math.cos(rot)*iR,cy+Math.sin(rot)*iR); rot+=st; } this.ctx.closePath(); break;
+            case 'rect': ctx.rect(x,y,w,h); break;
+            case 'circle': ctx.ellipse(x+w/2, y+h/2, w/2, h/2, 0, 0, Math.PI*2); break;
+            case 'triangle': ctx.moveTo(x+w/2,y); ctx.lineTo(x+w,y+h); ctx.lineTo(x,y+h); ctx.closePath(); break;
+            case 'diamond': ctx.moveTo(x+w/2,y); ctx.lineTo(x+w,y+h/2); ctx.lineTo(x+w/2,y+h); ctx.lineTo(x,y+h/2); ctx.closePath(); break;
+            case 'hexagon': const hx=w*0.25; ctx.moveTo(x+hx,y); ctx.lineTo(x+w-hx,y); ctx.lineTo(x+w,y+h/2); ctx.lineTo(x+w-hx,y+h); ctx.lineTo(x+hx,y+h); ctx.lineTo(x,y+h/2); ctx.closePath(); break;
+            case 'star': const cx=x+w/2,cy=y+h/2,sp=5,oR=w/2,iR=w/4; let rot=Math.PI/2*3,st=Math.PI/sp; ctx.moveTo(cx,cy-oR); for(let i=0;i<sp;i++){ ctx.lineTo(cx+Math.cos(rot)*oR,cy+Math.sin(rot)*oR); rot+=st; ctx.lineTo(cx+Math.cos(rot)*iR,cy+Math.sin(rot)*iR); rot+=st; } ctx.closePath(); break;
         }
     }
 
     drawArrowhead(f, t, c, w) {
-        const hL=(w*4+6)*this.view.scale, a=Math.atan2(t.y-f.y,t.x-f.x), sT=this.worldToScreen(t.x,t.y);
-        this.ctx.beginPath(); this.ctx.moveTo(sT.x, sT.y);
-        this.ctx.lineTo(sT.x-hL*Math.cos(a-Math.PI/6), sT.y-hL*Math.sin(a-Math.PI/6));
-        this.ctx.lineTo(sT.x-hL*Math.cos(a+Math.PI/6), sT.y-hL*Math.sin(a+Math.PI/6));
+        const pts = this.getArrowheadPoints(f, t, w).map(p => this.worldToScreen(p.x, p.y));
+        this.ctx.beginPath(); this.ctx.moveTo(pts[0].x, pts[0].y);
+        this.ctx.lineTo(pts[1].x, pts[1].y);
+        this.ctx.lineTo(pts[2].x, pts[2].y);
         this.ctx.closePath(); this.ctx.fillStyle=c; this.ctx.fill();
     }
 
+    /**
+     * @method getArrowheadPoints
+     * @description World coordinates of the triangle drawn at `t` for a line coming from `f`.
+     */
+    getArrowheadPoints(f, t, w) {
+        const hL=w*4+6, a=Math.atan2(t.y-f.y,t.x-f.x);
+        return [
+            { x: t.x, y: t.y },
+            { x: t.x-hL*Math.cos(a-Math.PI/6), y: t.y-hL*Math.sin(a-Math.PI/6) },
+            { x: t.x-hL*Math.cos(a+Math.PI/6), y: t.y-hL*Math.sin(a+Math.PI/6) }
+        ];
+    }
+
     drawSelectionBox(sPos, sW, sH, el) {
         this.ctx.lineWidth = 1;
         this.ctx.strokeStyle = getComputedStyle(document.body).getPropertyValue('--accent-color');
@@ -1240,6 +2082,22 @@ class FluxWhiteboard {
         this.ctx.restore();
     }
 
+    drawEraserOutline() {
+        const pos = this.interaction.eraserPos;
+        if (!pos || this.renderTarget || !window.flux || window.flux.state.activeTool !== 'eraser') return;
+        const p = this.worldToScreen(pos.x, pos.y);
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.arc(p.x, p.y, Math.max(this.getEraserRadius() * this.view.scale, 2), 0, Math.PI * 2);
+        this.ctx.strokeStyle = getComputedStyle(document.body).getPropertyValue('--accent-color');
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+        this.ctx.globalAlpha = 0.1;
+        this.ctx.fillStyle = this.ctx.strokeStyle;
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
     drawHandle(x,y,c) { 
         this.ctx.beginPath(); 
         this.ctx.arc(x,y,this.config.handleRadius,0,Math.PI*2); 
@@ -5,7 +5,7 @@
  * Uses a "Stale-While-Revalidate" strategy for assets.
  */
 
-const CACHE_NAME = 'flux-core-v3';
+const CACHE_NAME = 'flux-core-v4';
 const ASSETS = [
     './', 
     './index.html', 
@@ -13,9 +13,27 @@ const ASSETS = [
     './app.js', 
     './manifest.json',
     './style.css',
+    './js/spatial-index.js',
+    './js/tile-layer.js',
+    './js/pointer-input.js',
     './js/whiteboard.js',
     './js/pdf-viewer.js',
     './js/shortcuts.js',
+    './js/storage.js',
+    './js/assets.js',
+    './js/schema.js',
+    './js/excalidraw.js',
+    './js/json-canvas.js',
+    './js/pdf-writer.js',
+    './js/exporter.js',
+    './js/snapshots.js',
+    './js/templates.js',
+    './js/thumbnails.js',
+    './js/organizer.js',
+    './js/links.js',
+    './js/search.js',
+    './js/trash.js',
+    './js/transfer.js',
     
     // External Libraries (Local)
     './lib/katex/katex.min.css',